@@ -20,55 +20,223 @@
  *
  * Public API:
  *
- * DAM(baseDir) create DAM object with a given base directory
- * DAM.init(callback); Initialize a DAM
- * DAM.registerEventCallback(context, callback);
- * DAM.addBundle(bundle)
- * DAM.removeBundle(bundleName)
+ * DAM(baseDir, options) create DAM object with a given base directory
+ * DAM.init(callback); Initialize a DAM, returns a promise
+ * DAM.registerEventCallback(context, callback); returns a subscription
+ * DAM.on(eventType, bundleName, handler) / DAM.once(...) subscribe to one type of event, returns a subscription
+ * DAM.off(eventType, bundleName, handler) unsubscribe
+ * DAM.addBundle(bundle) returns a promise resolved when the bundle is loaded
+ * DAM.removeBundle(bundleName, options) returns a promise resolved when the files are removed
+ * DAM.updateBundle(bundle) returns a promise resolved when the new version is in place
+ * DAM.addBundleFromManifest(url) add a bundle from a remote JSON manifest, returns a promise
+ * DAM.addBundlesFromCatalog(url) add the bundles in a remote JSON catalog, returns a promise
+ * DAM.checkManifests() check remote manifests for new versions now, returns a promise
  * DAM.getBundleNames() returns array of bundle names
  * DAM.getBundle(bundleName) returns a bundle record
  * DAM.bundleLoaded(bundleName) is this bundle loaded?
  * DAM.bundleAdded(bundleName) is this bundle in this.bundles?
  * DAM.localURL(remoteFile) get local URL of a file
+ * DAM.touchBundle(bundleName) record that a bundle is in use, so it is evicted last
+ * DAM.setBundlePriority(bundleName, priority, preempt) change the order bundles are downloaded in
+ * DAM.prioritizeBundle(bundleName, preempt) download a bundle before all others
+ * DAM.pauseBundle(bundleName) / DAM.resumeBundle(bundleName) pause and resume downloading a bundle
+ * DAM.pauseAll() / DAM.resumeAll() pause and resume all downloads
+ * DAM.getBundleSize(bundleName, callback) declared, on disk and remaining bytes of a bundle, returns a promise
+ * DAM.getStorageUsage(callback) bytes used in the base directory, returns a promise
+ * DAM.collectGarbage(callback, options) delete files no bundle uses, returns a promise
+ * DAM.DAMError error passed to callbacks, events and promises, with a code such as DAM.DAMError.NETWORK
+ * DAM.FileSystemStorage, DAM.IndexedDBStorage, DAM.CacheAPIStorage, DAM.MemoryStorage storage adapters for the storage option
+ * DAM.FileRegistry, DAM.IndexedDBRegistry, DAM.LocalStorageRegistry registries for the registry option
  *
  */
  
 (function(exports) {
 
 /** Private constants */
-var RETRY_INTERVAL = 30000;
+var RETRY_BASE_INTERVAL = 5000;  // wait before retrying a failed task, doubled with each failure
+var RETRY_MAX_INTERVAL = 5 * 60 * 1000;  // longest wait before retrying a failed task
+var DEFAULT_MAX_CONCURRENT_DOWNLOADS = 1;
+var BROWSER_QUOTA = 100 * 1024 * 1024;  // persistent storage requested when not running in cordova
+var FILES_AREA = 'files';  // storage area for the bundles' files
+var PARTIAL_AREA = 'partial';  // partially downloaded files, kept so downloads can be resumed
+var UPDATE_AREA = 'update';  // changed files of new bundle versions, until they are swapped in
+var STAGING_DIR = '.partial';  // directory of the partial area in FileSystemStorage
+var UPDATE_DIR = '.update';  // directory of the update area in FileSystemStorage
+var MAX_INTEGRITY_RETRIES = 2;  // times a file is downloaded again when it does not match its hash
+var MANIFEST_CHECK_INTERVAL = 60 * 60 * 1000;  // how often remote manifests are checked for new versions
+var ACCESS_RESOLUTION = 60 * 1000;  // how often what localURL() was asked for is saved
+var EXPIRY_CHECK_INTERVAL = 60 * 1000;  // how often bundles are checked for expiry
+var RATE_SAMPLE_INTERVAL = 500;  // shortest time the download rate is measured over, in ms
+var RATE_SMOOTHING = 0.3;  // weight of the latest measurement in the smoothed download rate
+var LOCAL_NAME_PATTERN = /^[0-9a-f]{40}(\..*)?$/;  // names _localFileName() gives files
+var STORAGE_METHODS = ['init', 'exists', 'size', 'read', 'remove', 'move', 'list', 'toURL', 'download'];  // a storage adapter's interface
     
 /**
  * @constructor
  * @param {string} the base directory in which files should be saved relative to root filesystem
  *        Must be empty string or directory name of single depth
+ * @param {object} optional settings:
+ *        maxConcurrentDownloads: number of files that may be downloaded at once, within and
+ *                                across bundles (default 1)
+ *        network: connections bundles may be downloaded on, DAM.NETWORK_ANY, DAM.NETWORK_WIFI
+ *                 or DAM.NETWORK_UNMETERED (default DAM.NETWORK_ANY).  Bundles can override this.
+ *        storageBudget: bytes the DAM should keep its files within, by deleting files no bundle
+ *                       uses and evicting the least recently used bundles before downloading
+ *                       more (default no limit)
+ *        pauseInBackground: stop downloading while a cordova app is in the background, and
+ *                           carry on when it comes back (default true).  Set to false for
+ *                           apps that can download in the background.
+ *        onListenerError: function(error, event) called when an event listener throws.  Other
+ *                         listeners still get the event.  (default throws the error again
+ *                         from a timer, e.g. for window.onerror)
+ *        storage: where files are kept, a storage adapter such as new DAM.IndexedDBStorage()
+ *                 (default new DAM.FileSystemStorage(), cordova's File API)
+ *        registry: where bundle records are kept, such as new DAM.IndexedDBRegistry() (default a
+ *                  JSON file in the base directory with cordova, otherwise IndexedDB if there is
+ *                  one, otherwise localStorage)
+ *        autoCollectGarbage: run collectGarbage() after each bundle is removed (default false)
  */
-var DAM = function(baseDir) {
+var DAM = function(baseDir, options) {
   if (!baseDir) baseDir = '';
+  if (!options) options = {};
   
   // These are all "private" variables and should not be altered by the client
-  this.fileSystem = null;
-  this.directoryEntry = null;
+  this.storage = options.storage || new FileSystemStorage();
+  for (var i=0; i < STORAGE_METHODS.length; i++) {
+    if (typeof(this.storage[STORAGE_METHODS[i]]) != 'function') {
+      throw new DAMError(DAMError.INVALID_ARGUMENT, "Invalid storage passed to DAM, it has no " + STORAGE_METHODS[i] + "()");
+    }
+  }
+  this.registry = options.registry || _defaultRegistry(this.storage);
   this.baseDir = baseDir;
-  this.bundlesKey = "bundles_" + baseDir;
+  this.bundlesKey = "bundles_" + baseDir;  // where bundle records were kept before there were registries
+  this.partialsKey = "partials_" + baseDir;
+  this.verifiedKey = "verified_" + baseDir;
+  this.manifestsKey = "manifests_" + baseDir;
+  this.accessKey = "access_" + baseDir;
+  this.pausedKey = "paused_" + baseDir;
+  this.tasksKey = "tasks_" + baseDir;
   this.bundles = {};
+  this.changedBundles = {};  // bundle name -> true if its record has to be written to the registry
+  this.savingBundles = false;
+  this.bundlesDirty = false;  // changed while being saved
+  this.bundleSaveCallbacks = [];
+  this.partials = {};
+  this.verified = {};  // local name -> {hash, size} of files in the files area that matched their hash
+  this.verifiedChanged = false;  // verified has to be saved, see _saveVerified()
+  this.manifests = {};
+  this.lastAccess = {};  // bundle name -> time it was last used
+  this.fileAccess = {};  // remote URL -> time localURL() was last asked for it, until _saveAccess()
+  this.accessTimer = null;
+  this.expiring = {};  // bundle name -> true while its expired event is being sent
+  this.paused = {all:false, bundles:{}};
   this.localURLs = {};
   this.tasks = [];
   this.doingTasks = false;
+  this.schedulingTasks = false;
+  this.rescheduleTasks = false;
+  this.tasksHeld = 0;  // while > 0, tasks are queued but not started
+  this.journalReplayed = false;  // init() has queued the saved tasks again
+  this.retryTimer = null;
+  this.dependencyTimer = null;
+  this.online = true;
+  this.watchingNetwork = false;  // the listeners _watchNetwork() adds are in place
+  this.waiters = [];
+  
+  this.maxConcurrentDownloads = options.maxConcurrentDownloads || DEFAULT_MAX_CONCURRENT_DOWNLOADS;
+  this.activeDownloads = 0;
+  this.downloadQueue = [];
+  this.partialLocks = {};  // local name -> callbacks waiting to download that file
+  
+  this.network = options.network || DAM.NETWORK_ANY;
+  if (!_validNetworkPolicy(this.network)) throw new DAMError(DAMError.INVALID_ARGUMENT, "Invalid network policy passed to DAM");
+  
+  this.storageBudget = options.storageBudget || null;
+  
+  this.pauseInBackground = options.pauseInBackground !== false;
+  this.autoCollectGarbage = options.autoCollectGarbage === true;
+  this.suspended = false;  // while the app is in the background
+  this.watchingLifecycle = false;
+  this.expiryTimer = null;
+  this.manifestTimer = null;
+  this.manifestsCheckedAt = 0;
   
   this.eventCallbacks = [];
+  this.onListenerError = options.onListenerError || null;
   this.eventQueue = [];
+  this.eventSentCallbacks = [];
   this.eventTimer = null;
 };
 
 /** Class constants */
 DAM.GLOBAL_EVENT_BUSY = 'busy';
 DAM.GLOBAL_EVENT_NOTBUSY = 'notbusy';
+DAM.GLOBAL_EVENT_OFFLINE = 'offline';
+DAM.GLOBAL_EVENT_ONLINE = 'online';
+DAM.GLOBAL_EVENT_SAVE_ERROR = 'saveerror';
+DAM.GLOBAL_EVENT_MANIFEST_ERROR = 'manifesterror';
 
 DAM.BUNDLE_EVENT_LOADING = 'loading';
 DAM.BUNDLE_EVENT_PROGRESS = 'progress';
 DAM.BUNDLE_EVENT_LOADED = 'loaded';
 DAM.BUNDLE_EVENT_ERROR = 'error';
+DAM.BUNDLE_EVENT_UPDATING = 'updating';
+DAM.BUNDLE_EVENT_UPDATED = 'updated';
+DAM.BUNDLE_EVENT_WAITING = 'waiting';
+DAM.BUNDLE_EVENT_EVICTED = 'evicted';
+DAM.BUNDLE_EVENT_OVER_BUDGET = 'overbudget';
+DAM.BUNDLE_EVENT_EXPIRED = 'expired';
+DAM.BUNDLE_EVENT_PAUSED = 'paused';
+DAM.BUNDLE_EVENT_RESUMED = 'resumed';
+
+DAM.FILE_EVENT_STARTED = 'filestarted';
+DAM.FILE_EVENT_PROGRESS = 'fileprogress';
+DAM.FILE_EVENT_COMPLETED = 'filecompleted';
+DAM.FILE_EVENT_FAILED = 'filefailed';
+
+DAM.NETWORK_ANY = 'any';  // download on any connection
+DAM.NETWORK_WIFI = 'wifi';  // download only on wifi
+DAM.NETWORK_UNMETERED = 'unmetered';  // download only on wifi or ethernet
+
+/**
+ * Errors passed to callbacks and events, rejected with and thrown by the DAM.  The string
+ * value of a DAMError is its message, so it can still be logged or compared like a string.
+ * @constructor
+ * @param {string} one of the DAMError codes below
+ * @param {string} what happened
+ * @param {object} optional details:
+ *        url: the file or manifest that could not be downloaded
+ *        httpStatus: the HTTP status the server responded with
+ *        cause: the underlying FileError, FileTransferError or DAMError
+ */
+var DAMError = function(code, message, details) {
+  if (!details) details = {};
+  this.name = 'DAMError';
+  this.code = code;
+  this.message = message;
+  this.url = details.url || null;
+  this.httpStatus = details.httpStatus || null;
+  this.cause = details.cause || null;
+};
+DAMError.prototype = Object.create(Error.prototype);
+DAMError.prototype.constructor = DAMError;
+DAMError.prototype.toString = function() {
+  return this.message;
+};
+
+DAMError.NETWORK = 'network';  // the connection failed
+DAMError.HTTP_STATUS = 'http_status';  // the server responded with an error status
+DAMError.NOT_FOUND = 'not_found';  // the file, manifest or bundle does not exist
+DAMError.QUOTA = 'quota';  // out of storage space
+DAMError.FILE_SYSTEM = 'file_system';  // a file or directory could not be read or written
+DAMError.INTEGRITY = 'integrity';  // a downloaded file did not match its hash
+DAMError.TIMEOUT = 'timeout';  // a download stopped making progress
+DAMError.CANCELED = 'canceled';  // the bundle was removed, or its download replaced
+DAMError.MALFORMED_BUNDLE = 'malformed_bundle';  // a bundle, manifest or catalog is not valid
+DAMError.DEPENDENCY = 'dependency';  // a bundle this one depends on failed, or one depends on it
+DAMError.INVALID_ARGUMENT = 'invalid_argument';  // a bad value was passed to the DAM
+
+DAM.DAMError = DAMError;
 
 /**
  * Register a callback when bundle or global events happen.   Callbacks are guaranteed
@@ -78,20 +246,135 @@ DAM.BUNDLE_EVENT_ERROR = 'error';
  * Bundle Events:
  *
  *  {event: DAM.BUNDLE_EVENT_LOADING, name:'bundleName'} when bundle starts loading
- *  {event: DAM.BUNDLE_EVENT_PROGRESS, name:'bundleName', done:0.5} when bundle load progress happens
+ *  {event: DAM.BUNDLE_EVENT_PROGRESS, name:'bundleName', done:0.5, bytesLoaded:n, bytesTotal:n, rate:n, eta:n}
+ *                                    when bundle load progress happens.  rate is bytes per second, and eta
+ *                                    seconds.  bytesTotal, rate and eta are null until they are known.
  *  {event: DAM.BUNDLE_EVENT_LOADED, name:'bundleName'} when bundle finishes loading
- *  {event: DAM.BUNDLE_EVENT_ERROR, name:'bundleName', error:'what happened'} when bundle cannot be loaded
+ *  {event: DAM.BUNDLE_EVENT_ERROR, name:'bundleName', error:DAMError} when bundle cannot be loaded (or updated)
+ *  {event: DAM.BUNDLE_EVENT_UPDATING, name:'bundleName', version:2} when a new version starts downloading
+ *  {event: DAM.BUNDLE_EVENT_UPDATED, name:'bundleName', version:2} when the new version has replaced the old one,
+ *                                    and is loaded
+ *  {event: DAM.BUNDLE_EVENT_WAITING, name:'bundleName', network:'wifi'} when a download has to wait for a
+ *                                    connection its network policy allows
+ *  {event: DAM.BUNDLE_EVENT_WAITING, name:'bundleName', dependsOn:'otherBundle'} when loading has to wait
+ *                                    for a bundle it depends on
+ *  {event: DAM.BUNDLE_EVENT_EVICTED, name:'bundleName'} when a bundle was removed to stay within the storage budget
+ *  {event: DAM.BUNDLE_EVENT_OVER_BUDGET, name:'bundleName', error:DAMError, bytesNeeded:n, bytesUsed:n}
+ *                                    when a bundle is downloaded over the storage budget, because nothing
+ *                                    more could be evicted
+ *  {event: DAM.BUNDLE_EVENT_EXPIRED, name:'bundleName'} when a bundle has expired, just before it is removed
+ *  {event: DAM.BUNDLE_EVENT_PAUSED, name:'bundleName'} when downloading a bundle is paused
+ *  {event: DAM.BUNDLE_EVENT_RESUMED, name:'bundleName'} when downloading a bundle is resumed
+ *
+ * File Events, for files that are downloaded:
+ *
+ *  {event: DAM.FILE_EVENT_STARTED, name:'bundleName', file:'remoteURL'} when a file starts downloading
+ *  {event: DAM.FILE_EVENT_PROGRESS, name:'bundleName', file:'remoteURL', bytesLoaded:n, bytesTotal:n}
+ *                                  as it downloads.  bytesTotal is null if the server does not say.
+ *  {event: DAM.FILE_EVENT_COMPLETED, name:'bundleName', file:'remoteURL'} when a file is downloaded and checked
+ *  {event: DAM.FILE_EVENT_FAILED, name:'bundleName', file:'remoteURL', error:DAMError} when a file
+ *                                  could not be downloaded
  *
  * Global events: 
  *
  *  {event: DAM.GLOBAL_EVENT_BUSY} a download or remove task is in progress
  *  {event: DAM.GLOBAL_EVENT_NOTBUSY} no task in progress
+ *  {event: DAM.GLOBAL_EVENT_OFFLINE} the network connection was lost, so downloads are waiting
+ *  {event: DAM.GLOBAL_EVENT_ONLINE} the network connection is back, and failed downloads are retried
+ *  {event: DAM.GLOBAL_EVENT_SAVE_ERROR, error:DAMError} bundle records or other state could not be
+ *                                  saved, e.g. for lack of space.  The DAM carries on, and saves again
+ *                                  with the next change.
+ *  {event: DAM.GLOBAL_EVENT_MANIFEST_ERROR, url:'manifestURL', error:DAMError} a remembered manifest or
+ *                                  catalog could not be checked for changes.  It is checked again later.
  *
  * @param {object} Callback "this" context.  Can be null.
  * @param {function} The callback function
+ * @return {object} subscription, whose unsubscribe() stops the callback
  */
 DAM.prototype.registerEventCallback = function(context, callback) {
-  this.eventCallbacks.push({context:context, callback:callback});
+  return _subscribe(this, {context:context, callback:callback, event:null, name:null, once:false});
+}
+
+/**
+ * Call a handler for one type of event, optionally only for one bundle.  Handlers are
+ * called asynchronously and in order, like callbacks registered with registerEventCallback,
+ * with the DAM as "this".
+ * @param {string} event type, e.g. DAM.BUNDLE_EVENT_LOADED
+ * @param {string} optional bundle name.  Can be left out.
+ * @param {function} handler(event)
+ * @return {object} subscription, whose unsubscribe() stops the handler
+ */
+DAM.prototype.on = function(eventType, bundleName, handler) {
+  if (typeof(bundleName) == 'function') {
+    handler = bundleName;
+    bundleName = null;
+  }
+  return _subscribe(this, {context:this, callback:handler, event:eventType, name:bundleName || null, once:false});
+}
+
+/**
+ * Like on(), but the handler is only called for the first matching event
+ * @param {string} event type
+ * @param {string} optional bundle name.  Can be left out.
+ * @param {function} handler(event)
+ * @return {object} subscription, whose unsubscribe() stops the handler if it has not been called yet
+ */
+DAM.prototype.once = function(eventType, bundleName, handler) {
+  if (typeof(bundleName) == 'function') {
+    handler = bundleName;
+    bundleName = null;
+  }
+  return _subscribe(this, {context:this, callback:handler, event:eventType, name:bundleName || null, once:true});
+}
+
+/**
+ * Stop calling handlers registered with on() or once() for an event type and bundle
+ * @param {string} event type
+ * @param {string} optional bundle name.  Can be left out.
+ * @param {function} optional handler.  If left out, all handlers for the event type and bundle are removed.
+ */
+DAM.prototype.off = function(eventType, bundleName, handler) {
+  if (typeof(bundleName) == 'function') {
+    handler = bundleName;
+    bundleName = null;
+  }
+  var listeners = this.eventCallbacks.slice();
+  for (var i=0; i < listeners.length; i++) {
+    var listener = listeners[i];
+    if (listener.event == eventType && listener.name == (bundleName || null) && (!handler || listener.callback == handler)) {
+      _unsubscribe(this, listener);
+    }
+  }
+}
+
+/**
+ * @private
+ * Add an event listener
+ * @param {object} DAM object
+ * @param {object} {context, callback, event, name, once}.  event and name are null to match any.
+ * @return {object} subscription handle
+ */
+function _subscribe(manager, listener) {
+  manager.eventCallbacks.push(listener);
+  return {
+    unsubscribe: function() { _unsubscribe(manager, listener); }
+  };
+}
+
+/**
+ * @private
+ * Remove an event listener.  It is not called again, even for events already being sent.
+ * @param {object} DAM object
+ * @param {object} the listener
+ */
+function _unsubscribe(manager, listener) {
+  listener.removed = true;
+  for (var i=0; i < manager.eventCallbacks.length; i++) {
+    if (manager.eventCallbacks[i] === listener) {
+      manager.eventCallbacks.splice(i, 1);
+      return;
+    }
+  }
 }
 
 /**
@@ -99,28 +382,66 @@ DAM.prototype.registerEventCallback = function(context, callback) {
  * Send an event asynchronously to listeners
  * @param {object} DAM object
  * @param {object} event to send to listeners
+ * @param {function} optional callback after listeners have been called
  */
-function _sendEvent(manager, event) {
+function _sendEvent(manager, event, callback) {
 
   // ensure that we're not sending any events syncronously with client calls, since calls like init,
   // and addBundle can cause events to fire, causing hard to track down bugs in the client.
   // We cannot rely on multiple JS timers of 0 duration to fire in order, so set up a queue.
   manager.eventQueue.push(event);
+  if (callback) manager.eventSentCallbacks.push(callback);
   
   if (manager.eventTimer == null) {
     manager.eventTimer = setTimeout(function() {
       for (var m=0; m < manager.eventQueue.length; m++) {
-        for (var i=0; i < manager.eventCallbacks.length; i++) {
-          manager.eventCallbacks[i].callback.call(manager.eventCallbacks[i].context, manager.eventQueue[m]);
+        var event = manager.eventQueue[m],
+            listeners = manager.eventCallbacks.slice();  // listeners can unsubscribe while being called
+        for (var i=0; i < listeners.length; i++) {
+          var listener = listeners[i];
+          if (listener.removed) continue;
+          if (listener.event != null && listener.event != event.event) continue;
+          if (listener.name != null && listener.name != event.name) continue;
+          if (listener.once) _unsubscribe(manager, listener);
+          try {
+            listener.callback.call(listener.context, event);
+          } catch (e) {
+            // A broken listener must not stop the others, or the queue from draining
+            _listenerError(manager, e, event);
+          }
         }
       }
+      var sentCallbacks = manager.eventSentCallbacks;
       manager.eventTimer = null;
       manager.eventQueue = [];
+      manager.eventSentCallbacks = [];
+      for (var c=0; c < sentCallbacks.length; c++) sentCallbacks[c]();
     }, 0);
   }
 
 }
 
+/**
+ * @private
+ * Report an exception thrown by an event listener to the onListenerError option
+ * @param {object} DAM object
+ * @param {object} what was thrown
+ * @param {object} the event being sent
+ */
+function _listenerError(manager, error, event) {
+  if (manager.onListenerError) {
+    try {
+      manager.onListenerError(error, event);
+      return;
+    } catch (e) {
+      error = e;
+    }
+  }
+  // Nowhere else to report it, so throw it where the app's own error handling sees it,
+  // without stopping the other listeners
+  setTimeout(function() { throw error; }, 0);
+}
+
 /**
  * @private
  * Clear any pending events for a bundle that have not been sent yet.
@@ -141,64 +462,417 @@ function _purgeEvents(manager, bundleName) {
  * Initializes DAM.   Checks file status for all bundle files to confirm loaded status.
  * Initiates download of bundles that are not loaded yet.   DAM.BUNDLE_EVENT_LOADED events
  * will be fired for all bundles that are loaded.
- * @param {function} callback ( {success:true} or {success:false, error:"what happened"} )
+ * @param {function} optional callback ( {success:true} or {success:false, error:DAMError} )
+ * @return {object} promise resolved with {success:true}, or rejected with the DAMError
  */
 DAM.prototype.init = function(callback) {
-  var that = this;
+  var that = this,
+      resolvePromise, rejectPromise;
   
-  this.bundles = JSON.parse(localStorage.getItem(this.bundlesKey));
-  if (this.bundles == null) this.bundles = {};
+  var promise = _makePromise(function(resolve, reject) {
+    resolvePromise = resolve;
+    rejectPromise = reject;
+  });
+  // Clients using the callback never look at the promise, so don't let a failure
+  // be reported as an unhandled rejection.
+  promise['catch'](function() {});
   
-  window.requestFileSystem(LocalFileSystem.PERSISTENT, 0, function(fileSystem) {
-    that.fileSystem = fileSystem;
-    if (that.baseDir.length > 0) {
-      that.fileSystem.root.getDirectory(that.baseDir, {create: true, exclusive: false}, _haveDirectoryEntry, function(err) {
-          callback({success:false, error:"Could not create directory " + that.baseDir + " FileError code: " + err.code});
-      });
-    } else {
-      _haveDirectoryEntry(that.fileSystem.root);
+  this.partials = _loadItem(this.partialsKey, {});
+  this.verified = _loadItem(this.verifiedKey, {});
+  this.manifests = _loadItem(this.manifestsKey, {});
+  this.lastAccess = _loadItem(this.accessKey, {});
+  this.paused = _loadItem(this.pausedKey, {all:false, bundles:{}});
+  var journal = _loadItem(this.tasksKey, []);
+  
+  // Nothing starts until the files have been checked, and the journal's tasks are queued
+  // in their order
+  _holdTasks(this);
+  this.storage.init(this.baseDir, function(error) {
+    if (error) {
+      done({success:false, error:error});
+      return;
     }
-  }, function (err) {
-    callback({success:false, error:"Could not get file system.  FileError code: " + err.code});
+    _loadBundles(that, function(error) {
+      if (error) {
+        done({success:false, error:error});
+        return;
+      }
+      // Bundles that were being removed when the app was last closed are gone, even if the
+      // app was closed before their records were saved without them
+      _dropRemovedBundles(that, journal);
+      _forgetStaleVerified(that);
+      _removeStalePartials(that, function() {
+        _removeStaleUpdates(that, _checkStatus);
+      });
+    });
   });
   
-  function _haveDirectoryEntry(entry) {
-    that.directoryEntry = entry;
+  return promise;
+  
+  function _checkStatus() {
     _checkBundleLoadStatusAll(that, function(status) {
       if (status.success) {
+        _removeExpired(that);
+        // Tasks that were queued carry on in the same order.  Any others that are needed,
+        // e.g. because files have gone missing, are queued after them.
+        _replayJournal(that, journal);
         for (var bundleName in that.bundles) {
           var bundle = that.bundles[bundleName];
+          if (_expired(bundle)) continue;  // being removed
           if (bundle.loaded == false) {
+            if (bundle.update) {
+              // Nothing usable to keep while updating, so load the new version instead
+              bundle = that.bundles[bundleName] = _copyBundle(bundle.update);
+              bundle.loaded = false;
+              _saveBundles(that, bundleName);
+            }
             _maybeAddTask(that, bundle.name, Task.TASK_TYPE_LOAD);
           } else {
+            if (!bundle.loadedAt) {
+              bundle.loadedAt = new Date().getTime();
+              _saveBundles(that, bundleName);
+            }
             _sendEvent(that, {event:DAM.BUNDLE_EVENT_LOADED, name:bundle.name});
+            if (bundle.update) _maybeAddTask(that, bundle.name, Task.TASK_TYPE_UPDATE);
           }
 		}
    
-        // Retry failed tasks once in a while
-        // TODO do on regaining network connectivity?
-        setInterval(kickStartTasks, RETRY_INTERVAL);
+        // Retry failed tasks as soon as the network comes back
+        _watchNetwork(that);
+        
+        // Look for new versions of bundles that came from remote manifests
+        _checkManifests(that);
+        if (!that.suspended) _startTimers(that);
+        
+        if (that.pauseInBackground) _watchLifecycle(that);
   
-        callback({success:true});
+        done({success:true});
       } else {
-        callback(status);
+        done(status);
       }
     });
   }
-
-  function kickStartTasks() {
-    for (var i=0; i<that.tasks.length; i++) {
-      task = that.tasks[i];
-      if (task.canceled == false && task.failed == true && task.retry == true) {
-	    task.failed = false;
-	    task.retry = false;
-	  }
+  
+  function done(status) {
+    _saveVerified(that);
+    _releaseTasks(that);
+    if (callback) callback(status);
+    if (status.success) {
+      resolvePromise(status);
+    } else {
+      rejectPromise(status.error);
     }
-    _doTasks(that); 
   }
   
 };
 
+/**
+ * @private
+ * Start the timers that look for expired bundles and new versions of manifests
+ * @param {object} DAM object
+ */
+function _startTimers(manager) {
+  _stopTimers(manager);  // init() may be called more than once
+  manager.expiryTimer = setInterval(function() { _removeExpired(manager); }, EXPIRY_CHECK_INTERVAL);
+  manager.manifestTimer = setInterval(function() { _checkManifests(manager); }, MANIFEST_CHECK_INTERVAL);
+}
+
+function _stopTimers(manager) {
+  clearInterval(manager.expiryTimer);
+  clearInterval(manager.manifestTimer);
+  manager.expiryTimer = manager.manifestTimer = null;
+}
+
+/**
+ * @private
+ * Listen for the cordova app going into the background and coming back.  iOS kills
+ * downloads in the background, so stop them cleanly instead, and carry on when the app
+ * comes back.
+ * @param {object} DAM object
+ */
+function _watchLifecycle(manager) {
+  if (!_isCordova() || manager.watchingLifecycle) return;
+  manager.watchingLifecycle = true;
+  document.addEventListener('pause', function() { _suspend(manager); }, false);
+  document.addEventListener('resume', function() { _unsuspend(manager); }, false);
+}
+
+/**
+ * @private
+ * The app is going into the background.  Stop downloads and timers.
+ * @param {object} DAM object
+ */
+function _suspend(manager) {
+  if (manager.suspended) return;
+  manager.suspended = true;
+  _stopTimers(manager);
+  _saveVerified(manager);
+  _saveAccess(manager);
+  _scheduleRetry(manager);  // clears the retry timer
+  
+  // Removing files needs no network, so let that finish, and start queued removals too
+  // (see _startTasks)
+  for (var i=0; i < manager.tasks.length; i++) {
+    var task = manager.tasks[i];
+    if (!task.running || task.canceled || task.type == Task.TASK_TYPE_REMOVE) continue;
+    _requeueTask(manager, task);
+  }
+}
+
+/**
+ * @private
+ * The app is back from the background.  Check that partly downloaded files were not left
+ * in a bad state, then start everything again, retrying failed tasks straight away.
+ * @param {object} DAM object
+ */
+function _unsuspend(manager) {
+  if (!manager.suspended) return;
+  
+  _revalidateDownloads(manager, function() {
+    if (!manager.suspended) return;  // already resumed
+    manager.suspended = false;
+    _startTimers(manager);
+    _removeExpired(manager);
+    if (new Date().getTime() - manager.manifestsCheckedAt >= MANIFEST_CHECK_INTERVAL) _checkManifests(manager);
+    _retryTasks(manager, true);
+  });
+}
+
+/**
+ * @private
+ * Check files that were being downloaded when the app went into the background.
+ * Partial downloads that are shorter than their resume state says are started over.
+ * @param {object} DAM object
+ * @param {function} callback when done
+ */
+function _revalidateDownloads(manager, callback) {
+  var partials = [];
+  for (var localName in manager.partials) partials.push(localName);
+  
+  (function loop(index) {
+    if (index == partials.length) {
+      callback();
+      return;
+    }
+    var partial = manager.partials[partials[index]];
+    manager.storage.size(PARTIAL_AREA, partials[index], function(size) {
+      if (partial && (size == null || size < partial.offset)) {
+        _removePartial(manager, partials[index], function() { loop(index + 1); });
+      } else {
+        loop(index + 1);
+      }
+    });
+  })(0);
+}
+
+/**
+ * @private
+ * Listen for the network going away and coming back.  Cordova sends online and offline
+ * events to the document, browsers send them to the window.
+ * @param {object} DAM object
+ */
+function _watchNetwork(manager) {
+  manager.online = _isOnline();
+  if (!manager.online) _sendEvent(manager, {event:DAM.GLOBAL_EVENT_OFFLINE});
+  
+  // Only once, however many times init() is called
+  if (manager.watchingNetwork) return;
+  manager.watchingNetwork = true;
+  var target = _isCordova() ? document : window;
+  target.addEventListener('online', function() { _networkChanged(manager, true); }, false);
+  target.addEventListener('offline', function() { _networkChanged(manager, false); }, false);
+  
+  // Browsers with the Network Information API tell about changes of connection type
+  if (!_isCordova() && typeof(navigator) != 'undefined' && navigator.connection && navigator.connection.addEventListener) {
+    navigator.connection.addEventListener('change', function() { _networkChanged(manager, _isOnline()); }, false);
+  }
+}
+
+/**
+ * @private
+ * Handle online and offline events.  Cordova sends online for every change of
+ * connection type, e.g. wifi to 3g, which may let tasks waiting for wifi start.
+ * @param {object} DAM object
+ * @param {boolean} is the network connected now?
+ */
+function _networkChanged(manager, online) {
+  if (online == manager.online) {
+    if (online) _doTasks(manager);
+    return;
+  }
+  manager.online = online;
+  
+  if (online) {
+    _sendEvent(manager, {event:DAM.GLOBAL_EVENT_ONLINE});
+    _retryTasks(manager, true);
+    _checkManifests(manager);
+  } else {
+    _sendEvent(manager, {event:DAM.GLOBAL_EVENT_OFFLINE});
+  }
+}
+
+  function _isOnline() {
+    if (typeof(navigator) == 'undefined') return true;
+    if (navigator.connection && navigator.connection.type) {
+      return navigator.connection.type != 'none';
+    }
+    return navigator.onLine !== false;
+  }
+
+/**
+ * @private
+ * Get the persistent file system.  Cordova provides window.requestFileSystem, browsers
+ * such as desktop Chrome have a prefixed version, and need persistent quota granted first.
+ * @param {function} success callback (fileSystem)
+ * @param {function} error callback (FileError)
+ */
+function _requestFileSystem(success, fail) {
+  if (typeof(LocalFileSystem) !== 'undefined') {
+    window.requestFileSystem(LocalFileSystem.PERSISTENT, 0, success, fail);
+    return;
+  }
+  
+  var requestFileSystem = window.requestFileSystem || window.webkitRequestFileSystem;
+  if (!requestFileSystem) {
+    setTimeout(function() { fail({code:"not supported"}); }, 0);
+    return;
+  }
+  
+  var storage = navigator.webkitPersistentStorage;
+  if (storage) {
+    storage.requestQuota(BROWSER_QUOTA, function(grantedBytes) {
+      requestFileSystem.call(window, window.PERSISTENT, grantedBytes, success, fail);
+    }, fail);
+  } else {
+    requestFileSystem.call(window, window.PERSISTENT, BROWSER_QUOTA, success, fail);
+  }
+}
+
+/**
+ * @private
+ * Load the bundle records from the registry.  The first time, records kept in localStorage
+ * by earlier versions are moved into the registry.
+ * @param {object} DAM object
+ * @param {function} callback(error), error is a DAMError or undefined
+ */
+function _loadBundles(manager, callback) {
+  manager.registry.load(manager.baseDir, manager.storage, function(error, records) {
+    if (error) return callback(error);
+    manager.bundles = records;
+    
+    var legacy = (manager.registry instanceof LocalStorageRegistry) ? null : localStorage.getItem(manager.bundlesKey);
+    if (legacy == null) return callback();
+    try {
+      legacy = JSON.parse(legacy) || {};
+    } catch (e) {
+      legacy = {};
+    }
+    var names = [];
+    for (var name in legacy) {
+      if (records.hasOwnProperty(name)) continue;
+      records[name] = legacy[name];
+      names.push(name);
+    }
+    _saveBundles(manager, names, function(saved) {
+      // If it could not be saved, try again next time
+      if (saved) localStorage.removeItem(manager.bundlesKey);
+      callback();
+    });
+  });
+}
+
+/**
+ * @private
+ * Save the bundle records that have changed.  Saves are one at a time, and changes made
+ * while one is being written are saved after it.
+ * @param {object} DAM object
+ * @param {string|array} optional name(s) of the bundles that were added, changed or removed
+ * @param {function} optional callback(saved) once the records as they are now have been
+ *        written, or could not be
+ */
+function _saveBundles(manager, bundleNames, callback) {
+  bundleNames = [].concat(bundleNames || []);
+  for (var i=0; i < bundleNames.length; i++) manager.changedBundles[bundleNames[i]] = true;
+  if (callback) manager.bundleSaveCallbacks.push(callback);
+  if (manager.savingBundles) {
+    manager.bundlesDirty = true;
+    return;
+  }
+  
+  var records = {}, removed = [], changed = manager.changedBundles, any = false, name,
+      callbacks = manager.bundleSaveCallbacks;
+  manager.changedBundles = {};
+  manager.bundleSaveCallbacks = [];
+  for (name in changed) {
+    any = true;
+    if (manager.bundles.hasOwnProperty(name)) {
+      records[name] = JSON.parse(JSON.stringify(manager.bundles[name]));  // as it is now, it may change while being written
+    } else {
+      removed.push(name);
+    }
+  }
+  if (!any) {
+    if (callbacks.length > 0) setTimeout(function() { finished(true); }, 0);
+    return;
+  }
+  
+  manager.savingBundles = true;
+  manager.registry.write(records, removed, function(error) {
+    manager.savingBundles = false;
+    if (error) {
+      // Keep going with the records in memory.  They are written with the next change.
+      _saveError(manager, error);
+      for (name in changed) manager.changedBundles[name] = true;
+    }
+    finished(!error);
+    if (manager.bundlesDirty) {
+      manager.bundlesDirty = false;
+      _saveBundles(manager);
+    }
+  });
+  
+  function finished(ok) {
+    for (var i=0; i < callbacks.length; i++) callbacks[i](ok);
+  }
+}
+
+/**
+ * @private
+ * Load DAM state saved by _saveItem().  If it's missing, or can't be used, e.g. because it
+ * was corrupted, the default is used instead.
+ * @param {string} localStorage key
+ * @param {object} default value
+ * @return {object} the value
+ */
+function _loadItem(key, defaultValue) {
+  var value = null;
+  try {
+    value = JSON.parse(localStorage.getItem(key));
+  } catch (e) {}
+  if (value == null || typeof(value) != 'object' || _isArray(value) != _isArray(defaultValue)) return defaultValue;
+  return value;
+}
+
+/**
+ * @private
+ * Save DAM state other than bundle records in localStorage
+ * @param {object} DAM object
+ * @param {string} localStorage key
+ * @param {object} value to save as JSON
+ */
+function _saveItem(manager, key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // e.g. QuotaExceededError.  Keep going with what's in memory.
+    _saveError(manager, _fileSystemError("Could not save " + key, e));
+  }
+}
+
+function _saveError(manager, error) {
+  _sendEvent(manager, {event:DAM.GLOBAL_EVENT_SAVE_ERROR, error:error});
+}
+
   /**
    * For debugging.  Needed to avoid circular references which JSON.stringify does not like
    */
@@ -226,13 +900,15 @@ function _checkBundleLoadStatusAll(manager, callback) {
   }
   (function loop(index) {
     if (index == bundlenames.length) {
-      localStorage.setItem(manager.bundlesKey, JSON.stringify(manager.bundles));
       callback({success: allSuccess, loaded:allLoaded});
       return;
     }
     var bundle = manager.bundles[bundlenames[index]];
     _checkBundleLoadStatus(manager, bundle, function(status) {
-      bundle.loaded = status.loaded;
+      if (bundle.loaded != status.loaded) {
+        bundle.loaded = status.loaded;
+        _saveBundles(manager, bundle.name);
+      }
       allLoaded = allLoaded && status.loaded;
       allSuccess = allSuccess && status.success;
       loop(index + 1);
@@ -254,14 +930,51 @@ function _checkBundleLoadStatus(manager, bundle, callback) {
       return;
     }
     var localName = _localFileName(bundle.files[index]);
-    manager.directoryEntry.getFile(localName, {create: false, exclusive: false}, function(fileEntry) {
-      _addLocalURL(manager, bundle.files[index], fileEntry);
-      loop(index + 1);
-    }, function(err) {
-      // TODO handle different errors.  Right now we assume error just means file doesn't exist
-      callback({success:true, loaded:false});
+    manager.storage.exists(FILES_AREA, localName, function(exists) {
+      if (!exists) return notLoaded();
+      _verifyFile(manager, FILES_AREA, localName, bundle.fileHashes ? bundle.fileHashes[index] : null, function(ok) {
+        if (ok) {
+          _addLocalURL(manager, bundle.files[index], localName, function() {
+            loop(index + 1);
+          });
+        } else {
+          _matchesUpdate(manager, bundle, index, function(ok) {
+            // Moved in by an interrupted update, so keep it for the new version
+            if (ok) return notLoaded();
+            // Corrupt.  Get rid of it so that it is downloaded again.
+            manager.storage.remove(FILES_AREA, localName, notLoaded);
+          });
+        }
+      });
     });
   })(0);
+  
+  function notLoaded() {
+    callback({success:true, loaded:false});
+  }
+}
+
+/**
+ * @private
+ * Check whether a file that doesn't match a bundle's hash matches its pending update's
+ * @param {object} DAM object
+ * @param {object} bundle record
+ * @param {number} index of the file in the bundle
+ * @param {function} callback(true if it matches the update)
+ */
+function _matchesUpdate(manager, bundle, index, callback) {
+  var remoteFile = bundle.files[index],
+      update = bundle.update,
+      hash = null;
+  if (update && update.fileHashes) {
+    for (var j=0; j < update.files.length; j++) {
+      if (update.files[j] == remoteFile) hash = update.fileHashes[j];
+    }
+  }
+  if (hash == null || hash == (bundle.fileHashes ? bundle.fileHashes[index] : null)) return callback(false);
+  _verifyFile(manager, FILES_AREA, _localFileName(remoteFile), hash, function(ok) {
+    callback(ok);
+  });
 }
 
 /**
@@ -296,10 +1009,15 @@ DAM.prototype.bundleAdded = function(bundleName) {
 /**
  * Check the loaded state of a bundle
  * @param {string} the name of the bundle to check
- * @return {boolean} if the bundle exists & is loaded
+ * @return {boolean} if the bundle exists & is loaded, and so are the bundles it depends on
  */
 DAM.prototype.bundleLoaded = function(bundleName) {
-  return this.bundles.hasOwnProperty(bundleName) ?  this.bundles[bundleName].loaded : false;
+  if (!this.bundles.hasOwnProperty(bundleName) || !this.bundles[bundleName].loaded) return false;
+  var dependsOn = this.bundles[bundleName].dependsOn || [];
+  for (var i=0; i < dependsOn.length; i++) {
+    if (!this.bundleLoaded(dependsOn[i])) return false;
+  }
+  return true;
 };
 
 /**
@@ -308,82 +1026,615 @@ DAM.prototype.bundleLoaded = function(bundleName) {
  * @return {boolean} the local URL
  */
 DAM.prototype.localURL = function(remoteFile) {
+  // Record that the file is in use.  Which bundles that makes in use is worked out later,
+  // as this is called for every file the app shows.
+  if (this.localURLs.hasOwnProperty(remoteFile)) {
+    this.fileAccess[remoteFile] = new Date().getTime();
+    _saveAccessSoon(this);
+  }
   return this.localURLs[remoteFile];
 }
 
 /**
- * Add a bundle. Added to DAM objects bundle list immediately with load=false
- * Note that a copy of the passed in bundle is added to the DAM's bundle list.
- * Downloading is started immediately.
- * 
- * Example bundle:
- *
- * { 
- *   name : "bundle1",
- *   files : [ "http://example.com/image1.jpg", "http://example.com/image1.jpg"],
- *   fileSizes : [ 150543, 459044 ]
- * }
- *
- * filesSizes is optional, and serves only to give more accurate progress events.
- *
- * @param {object} the bundle to add
- * @throws {string} if the bundle is malformed
+ * Record that a bundle is being used, so it is not the first to be evicted when the DAM
+ * needs room within its storage budget.  localURL() does this too.
+ * @param {string} the name of the bundle
  */
-DAM.prototype.addBundle = function(bundle) {
-  // Care must be taken not to let the client add malformed bundles, or the DAM
-  // can become crippled
-  if (_malformedBundle(bundle)) throw "Malformed bundle passed to addBundle";
-  
-  var bundleName = bundle.name;
-  
-  if (this.bundles.hasOwnProperty(bundleName)) return;
-  
-  var copy = _copyBundle(bundle);
-  copy.loaded = false;
-  this.bundles[bundleName] = copy;
-  localStorage.setItem(this.bundlesKey, JSON.stringify(this.bundles));
-  _cancelTask(this, bundleName, Task.TASK_TYPE_REMOVE);
-  _maybeAddTask(this, bundleName, Task.TASK_TYPE_LOAD);
-};
+DAM.prototype.touchBundle = function(bundleName) {
+  if (!this.bundles.hasOwnProperty(bundleName)) return;
+  this.lastAccess[bundleName] = new Date().getTime();
+  _saveItem(this, this.accessKey, this.lastAccess);
+}
 
-  function _malformedBundle(bundle) {
-    if (      typeof(bundle) != 'object'
-          ||  typeof(bundle.name) != 'string'
-          ||  _isArray(bundle.files) == false )
-        return true;
-    for (var i=0; i<bundle.files.length; i++) {
-      if (typeof bundle.files[i] != 'string') return true;
-    }
-    if (typeof(bundle.fileSizes) != 'undefined'
-        && (_isArray(bundle.fileSizes) == false || bundle.fileSizes.length != bundle.files.length) ) {
-        return true;
-    }
-    return false;
-  }
+/**
+ * Pause downloading a bundle, or its new version.  A download in progress is stopped, but
+ * files that are completely downloaded are kept, and partly downloaded ones carry on from
+ * where they stopped where possible.  Promises waiting for the bundle stay pending.  The
+ * bundle stays paused after the app restarts, until resumeBundle() is called.
+ * @param {string} the name of the bundle
+ */
+DAM.prototype.pauseBundle = function(bundleName) {
+  if (!this.bundles.hasOwnProperty(bundleName) || this.paused.bundles[bundleName]) return;
+  this.paused.bundles[bundleName] = true;
+  _saveItem(this, this.pausedKey, this.paused);
+  if (!this.paused.all) _pauseTasks(this, bundleName);
+}
+
+/**
+ * Resume downloading a bundle paused with pauseBundle().
+ * @param {string} the name of the bundle
+ */
+DAM.prototype.resumeBundle = function(bundleName) {
+  if (!this.paused.bundles[bundleName]) return;
+  delete this.paused.bundles[bundleName];
+  _saveItem(this, this.pausedKey, this.paused);
+  if (!this.paused.all) _resumeTasks(this, bundleName);
+}
+
+/**
+ * Pause all downloads, including those of bundles added later, until resumeAll() is called.
+ * See pauseBundle().  Bundles with downloads to do get DAM.BUNDLE_EVENT_PAUSED.
+ */
+DAM.prototype.pauseAll = function() {
+  if (this.paused.all) return;
+  this.paused.all = true;
+  _saveItem(this, this.pausedKey, this.paused);
+  for (var bundleName in this.bundles) {
+    if (!this.paused.bundles[bundleName] && _hasDownloadTask(this, bundleName)) _pauseTasks(this, bundleName);
+  }
+}
+
+/**
+ * Resume all downloads, including those of bundles paused with pauseBundle().
+ */
+DAM.prototype.resumeAll = function() {
+  var wasPaused = {};
+  for (var bundleName in this.bundles) {
+    if (this.paused.bundles[bundleName] || (this.paused.all && _hasDownloadTask(this, bundleName))) {
+      wasPaused[bundleName] = true;
+    }
+  }
+  this.paused = {all:false, bundles:{}};
+  _saveItem(this, this.pausedKey, this.paused);
+  for (bundleName in wasPaused) _resumeTasks(this, bundleName);
+}
+
+/**
+ * Set the priority of a bundle.  Downloads of higher priority bundles start first, and
+ * bundles they depend on are given the same priority while they wait for them.
+ * @param {string} the name of the bundle
+ * @param {number} the priority.  Bundles without one have priority 0.
+ * @param {boolean} optional, stop a running download of lower priority if need be, so this
+ *        bundle can start right away.  The stopped download carries on later.
+ */
+DAM.prototype.setBundlePriority = function(bundleName, priority, preempt) {
+  if (!this.bundles.hasOwnProperty(bundleName)) return;
+  if (typeof(priority) != 'number') throw new DAMError(DAMError.INVALID_ARGUMENT, "Invalid priority passed to setBundlePriority");
+  
+  this.bundles[bundleName].priority = priority;
+  if (this.bundles[bundleName].update) this.bundles[bundleName].update.priority = priority;
+  _saveBundles(this, bundleName);
+  if (preempt) _preemptTasks(this);
+  _doTasks(this);
+}
+
+/**
+ * Move a bundle to the front of the download queue, e.g. when the user opens it, by
+ * giving it a higher priority than any other bundle.
+ * @param {string} the name of the bundle
+ * @param {boolean} optional, stop a running download if need be, so this bundle can
+ *        start right away.  The stopped download carries on later.
+ */
+DAM.prototype.prioritizeBundle = function(bundleName, preempt) {
+  if (!this.bundles.hasOwnProperty(bundleName)) return;
+  
+  var highest = null;
+  for (var name in this.bundles) {
+    if (name == bundleName) continue;
+    var priority = this.bundles[name].priority || 0;
+    if (highest == null || priority > highest) highest = priority;
+  }
+  var current = this.bundles[bundleName].priority || 0;
+  this.setBundlePriority(bundleName, (highest != null && highest >= current) ? highest + 1 : current, preempt);
+}
+
+/**
+ * Get the size of a bundle, in bytes.
+ *   declared: total of the bundle's fileSizes, or null if it has none
+ *   onDisk: bytes of the bundle's files that are on disk, including partly downloaded ones
+ *   remaining: bytes still to be downloaded, or null if that can't be told because files
+ *              without a declared size are missing
+ * @param {string} the name of the bundle
+ * @param {function} optional callback ( {success:true, declared:n, onDisk:n, remaining:n} or
+ *        {success:false, error:DAMError} )
+ * @return {object} promise resolved with the same object, or rejected with the DAMError
+ */
+DAM.prototype.getBundleSize = function(bundleName, callback) {
+  var that = this,
+      bundle = this.bundles[bundleName],
+      resolvePromise, rejectPromise;
+  
+  var promise = _makePromise(function(resolve, reject) {
+    resolvePromise = resolve;
+    rejectPromise = reject;
+  });
+  
+  if (!bundle) {
+    setTimeout(function() { done({success:false, error:new DAMError(DAMError.NOT_FOUND, "No bundle named " + bundleName)}); }, 0);
+    return promise;
+  }
+  
+  var sizes = {success:true, declared:null, onDisk:0, remaining:0};
+  if (bundle.fileSizes) {
+    sizes.declared = 0;
+    for (var i=0; i < bundle.fileSizes.length; i++) sizes.declared += bundle.fileSizes[i];
+  }
+  
+  (function loop(index) {
+    if (index == bundle.files.length) {
+      done(sizes);
+      return;
+    }
+    var localName = _localFileName(bundle.files[index]),
+        declared = bundle.fileSizes ? bundle.fileSizes[index] : null;
+    that.storage.size(FILES_AREA, localName, function(size) {
+      if (size == null) {
+        // Not there yet, but maybe partly downloaded
+        that.storage.size(PARTIAL_AREA, localName, function(partialSize) {
+          addFile(partialSize || 0);
+        });
+      } else {
+        addFile(size);
+      }
+    });
+    function addFile(size) {
+      sizes.onDisk += size;
+      // Files are given local URLs once they are completely downloaded
+      var complete = bundle.loaded || that.localURLs.hasOwnProperty(bundle.files[index]);
+      if (complete || sizes.remaining == null) {
+        // nothing to add
+      } else if (declared != null) {
+        sizes.remaining += Math.max(0, declared - size);
+      } else {
+        sizes.remaining = null;
+      }
+      loop(index + 1);
+    }
+  })(0);
+  
+  return promise;
+  
+  function done(status) {
+    if (callback) callback(status);
+    if (status.success) {
+      resolvePromise(status);
+    } else {
+      rejectPromise(status.error);
+    }
+  }
+};
+
+/**
+ * Get the storage used by the DAM in its base directory, in bytes.  Files shared between
+ * bundles are counted once.  Files not named the way DAM names them are the app's own, and
+ * are not counted.
+ *   bundles: downloaded files of all the bundles, and of their pending updates
+ *   unused: files no bundle uses, which collectGarbage() would delete
+ *   partial: partly downloaded files, kept so downloads can be resumed
+ *   updates: files of new bundle versions that are not swapped in yet
+ *   total: all of the above
+ * @param {function} optional callback ( {success:true, bundles:n, unused:n, partial:n, updates:n, total:n} )
+ * @return {object} promise resolved with the same object
+ */
+DAM.prototype.getStorageUsage = function(callback) {
+  var that = this,
+      usage = {success:true, bundles:0, unused:0, partial:0, updates:0, total:0},
+      referenced = _referencedFileNames(this);
+  
+  return _makePromise(function(resolve) {
+    that.storage.list(FILES_AREA, function(names) {
+      (function loop(index) {
+        if (index == names.length) {
+          _areaSize(that.storage, PARTIAL_AREA, function(partialSize) {
+            _areaSize(that.storage, UPDATE_AREA, function(updatesSize) {
+              usage.partial = partialSize;
+              usage.updates = updatesSize;
+              usage.total = usage.bundles + usage.unused + usage.partial + usage.updates;
+              if (callback) callback(usage);
+              resolve(usage);
+            });
+          });
+          return;
+        }
+        var name = names[index];
+        if (!LOCAL_NAME_PATTERN.test(name)) return loop(index + 1);
+        that.storage.size(FILES_AREA, name, function(size) {
+          if (referenced.hasOwnProperty(name)) {
+            usage.bundles += size || 0;
+          } else {
+            usage.unused += size || 0;
+          }
+          loop(index + 1);
+        });
+      })(0);
+    });
+  });
+};
+
+/**
+ * Delete files in the base directory that no bundle, or pending bundle update, uses.  These
+ * can be left behind by removals that were interrupted, or by earlier versions of an app.
+ * Only files named the way DAM names them are deleted.
+ * @param {function} optional callback ( {success:true, files:[{name, size}], total:n} ) with
+ *        the files that were deleted (or would be), and their total size in bytes
+ * @param {object} optional settings:
+ *        dryRun: only report the files, don't delete them (default false)
+ * @return {object} promise resolved with the same object
+ */
+DAM.prototype.collectGarbage = function(callback, options) {
+  var that = this;
+  if (!options) options = {};
+  
+  return _makePromise(function(resolve) {
+    _collectGarbage(that, options.dryRun === true, function(result) {
+      if (callback) callback(result);
+      resolve(result);
+    });
+  });
+};
+
+/**
+ * @private
+ * Find, and unless it's a dry run delete, unreferenced files in the files area
+ * @param {object} DAM object
+ * @param {boolean} only report the files
+ * @param {function} callback(result) as for collectGarbage()
+ */
+function _collectGarbage(manager, dryRun, callback) {
+  var result = {success:true, files:[], total:0};
+  
+  manager.storage.list(FILES_AREA, function(names) {
+    (function loop(index) {
+      if (index == names.length) {
+        _saveVerified(manager);
+        callback(result);
+        return;
+      }
+      var name = names[index], next = function() { loop(index + 1); };
+      // Checked for each file, as bundles may be added while this runs
+      if (!LOCAL_NAME_PATTERN.test(name) || _referencedFileNames(manager).hasOwnProperty(name)) return next();
+      
+      manager.storage.size(FILES_AREA, name, function(size) {
+        if (size == null) return next();  // already gone
+        result.files.push({name:name, size:size});
+        result.total += size;
+        if (dryRun) return next();
+        for (var remoteURL in manager.localURLs) {
+          if (_localFileName(remoteURL) == name) _removeLocalURL(manager, remoteURL);
+        }
+        _setVerified(manager, name, null);
+        manager.storage.remove(FILES_AREA, name, next);
+      });
+    })(0);
+  });
+}
+
+/**
+ * @private
+ * Local names of the files that bundles, and their pending updates, use
+ * @param {object} DAM object
+ * @return {object} local name -> true
+ */
+function _referencedFileNames(manager) {
+  var referenced = {};
+  for (var bundleName in manager.bundles) {
+    var bundle = manager.bundles[bundleName],
+        files = bundle.files.concat(bundle.update ? bundle.update.files : []);
+    for (var i=0; i < files.length; i++) referenced[_localFileName(files[i])] = true;
+  }
+  return referenced;
+}
+
+/**
+ * Add a bundle. Added to DAM objects bundle list immediately with load=false
+ * Note that a copy of the passed in bundle is added to the DAM's bundle list.
+ * Downloading is started immediately.
+ * 
+ * Example bundle:
+ *
+ * { 
+ *   name : "bundle1",
+ *   version : 1,
+ *   files : [ "http://example.com/image1.jpg", "http://example.com/image1.jpg"],
+ *   fileSizes : [ 150543, 459044 ],
+ *   fileHashes : [ "sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=", "da39a3ee5e6b4b0d3255bfef95601890afd80709" ]
+ * }
+ *
+ * filesSizes is optional, and serves only to give more accurate progress events.
+ *
+ * version is optional, and is used by updateBundle().
+ *
+ * fileHashes is optional.  Each entry is a SHA-1 or SHA-256 hash of the file, either as hex,
+ * or subresource integrity style ("sha1-" or "sha256-" followed by base64), or null to not
+ * check that file.  Files are checked after download and by init(), and downloaded again a
+ * limited number of times if they don't match, before giving up with a DAMError.INTEGRITY error.
+ *
+ * @param {object} the bundle to add
+ * @return {object} promise resolved with the bundle name when the bundle is loaded, or
+ *         rejected with the same DAMError that DAM.BUNDLE_EVENT_ERROR carries
+ * @throws {DAMError} DAMError.MALFORMED_BUNDLE if the bundle is malformed
+ */
+DAM.prototype.addBundle = function(bundle) {
+  // Care must be taken not to let the client add malformed bundles, or the DAM
+  // can become crippled
+  if (_malformedBundle(bundle, this)) throw new DAMError(DAMError.MALFORMED_BUNDLE, "Malformed bundle passed to addBundle");
+  
+  var bundleName = bundle.name;
+  
+  if (this.bundles.hasOwnProperty(bundleName)) {
+    _loadDependencies(this, this.bundles[bundleName]);
+    if (this.bundles[bundleName].loaded) return _resolvedPromise(bundleName);
+    // Already added, but loading may have been given up after an error, so
+    // fall through and make sure there is a load task to wait on
+  } else {
+    var copy = _copyBundle(bundle);
+    copy.loaded = false;
+    this.bundles[bundleName] = copy;
+    _saveBundles(this, bundleName);
+    this.touchBundle(bundleName);
+    _cancelTask(this, bundleName, Task.TASK_TYPE_REMOVE);
+    _loadDependencies(this, copy);
+  }
+  
+  var promise = _waitForTask(this, bundleName, Task.TASK_TYPE_LOAD);
+  _maybeAddTask(this, bundleName, Task.TASK_TYPE_LOAD);
+  return promise;
+};
+
+  // manager is optional, and needed to check that dependencies don't form a cycle
+  function _malformedBundle(bundle, manager) {
+    if (      typeof(bundle) != 'object'
+          ||  typeof(bundle.name) != 'string'
+          ||  _isArray(bundle.files) == false )
+        return true;
+    for (var i=0; i<bundle.files.length; i++) {
+      if (typeof bundle.files[i] != 'string') return true;
+    }
+    if (typeof(bundle.fileSizes) != 'undefined'
+        && (_isArray(bundle.fileSizes) == false || bundle.fileSizes.length != bundle.files.length) ) {
+        return true;
+    }
+    if (typeof(bundle.version) != 'undefined' && typeof(bundle.version) != 'string' && typeof(bundle.version) != 'number') {
+      return true;
+    }
+    if (typeof(bundle.network) != 'undefined' && !_validNetworkPolicy(bundle.network)) {
+      return true;
+    }
+    if (   (typeof(bundle.expiresAt) != 'undefined' && typeof(bundle.expiresAt) != 'number' && !(bundle.expiresAt instanceof Date))
+        || (typeof(bundle.ttl) != 'undefined' && (typeof(bundle.ttl) != 'number' || bundle.ttl <= 0)) ) {
+      return true;
+    }
+    if (typeof(bundle.dependsOn) != 'undefined') {
+      if (_isArray(bundle.dependsOn) == false) return true;
+      for (var d=0; d<bundle.dependsOn.length; d++) {
+        if (typeof(bundle.dependsOn[d]) != 'string' || bundle.dependsOn[d] == bundle.name) return true;
+      }
+      if (manager && _dependencyCycle(manager, bundle)) return true;
+    }
+    if (typeof(bundle.priority) != 'undefined' && typeof(bundle.priority) != 'number') {
+      return true;
+    }
+    if (   (typeof(bundle.pinned) != 'undefined' && typeof(bundle.pinned) != 'boolean')
+        || (typeof(bundle.evictable) != 'undefined' && typeof(bundle.evictable) != 'boolean') ) {
+      return true;
+    }
+    if (typeof(bundle.fileHashes) != 'undefined') {
+      if (_isArray(bundle.fileHashes) == false || bundle.fileHashes.length != bundle.files.length) return true;
+      for (var h=0; h<bundle.fileHashes.length; h++) {
+        if (bundle.fileHashes[h] != null && _parseHash(bundle.fileHashes[h]) == null) return true;
+      }
+    }
+    return false;
+  }
   
   function _copyBundle(bundle) {
     var copy = { name : bundle.name, files : bundle.files.slice() }
     if (bundle.fileSizes) { copy.fileSizes = bundle.fileSizes.slice(); }
+    if (bundle.fileHashes) { copy.fileHashes = bundle.fileHashes.slice(); }
+    if (typeof(bundle.version) != 'undefined') { copy.version = bundle.version; }
+    if (bundle.network) { copy.network = bundle.network; }
+    if (typeof(bundle.pinned) != 'undefined') { copy.pinned = bundle.pinned; }
+    if (typeof(bundle.evictable) != 'undefined') { copy.evictable = bundle.evictable; }
+    if (typeof(bundle.expiresAt) != 'undefined') {
+      copy.expiresAt = bundle.expiresAt instanceof Date ? bundle.expiresAt.getTime() : bundle.expiresAt;
+    }
+    if (typeof(bundle.ttl) != 'undefined') { copy.ttl = bundle.ttl; }
+    if (bundle.dependsOn) { copy.dependsOn = bundle.dependsOn.slice(); }
+    if (typeof(bundle.priority) != 'undefined') { copy.priority = bundle.priority; }
     return copy;
   }
 
+  function _validNetworkPolicy(network) {
+    return network == DAM.NETWORK_ANY || network == DAM.NETWORK_WIFI || network == DAM.NETWORK_UNMETERED;
+  }
+  
   function _isArray(o) { return Object.prototype.toString.call(o) === '[object Array]' }
 
 /**
  * Remove a bundle.  Bundle is removed immediately from the DAM's bundle list.
  * Client will not receive any events for this bundle after calling removeBundle.
+ * A bundle that other bundles depend on is not removed, unless options.cascade is set,
+ * in which case those bundles are removed too.
  * @param {string} the name of the bundle to remove
+ * @param {object} optional settings:
+ *        cascade: also remove bundles that depend on this one (default false)
+ * @return {object} promise resolved with the bundle name when the bundle's files are removed,
+ *         or rejected if other bundles depend on it
  */
-DAM.prototype.removeBundle = function(bundleName) {
+DAM.prototype.removeBundle = function(bundleName, options) {
+  if (!options) options = {};
+  
+  var dependents = _dependents(this, bundleName);
+  if (dependents.length > 0) {
+    if (!options.cascade) {
+      return _rejectedPromise(new DAMError(DAMError.DEPENDENCY, "Bundle " + bundleName + " is needed by " + dependents.join(", ")));
+    }
+    var removals = [];
+    for (var i=0; i < dependents.length; i++) removals.push(this.removeBundle(dependents[i], options));
+    removals.push(this.removeBundle(bundleName));
+    var promise = _allPromises(removals).then(function() { return bundleName; });
+    // Clients using only the event API never look at the promise, as for _waitForTask()
+    promise['catch'](function() {});
+    return promise;
+  }
+  
   if (this.bundles.hasOwnProperty(bundleName)) {
     var removedBundle = this.bundles[bundleName];
     delete this.bundles[bundleName];
-    localStorage.setItem(this.bundlesKey, JSON.stringify(this.bundles));
+    _saveBundles(this, bundleName);
+    _forgetAccess(this, bundleName);
+    _forgetPaused(this, bundleName);
+    _forgetManifest(this, bundleName);
     _cancelTask(this, bundleName, Task.TASK_TYPE_LOAD);
+    _cancelTask(this, bundleName, Task.TASK_TYPE_UPDATE);
+    var promise = _waitForTask(this, bundleName, Task.TASK_TYPE_REMOVE);
 	_maybeAddTask(this, bundleName, Task.TASK_TYPE_REMOVE, removedBundle);
+    return promise;
+  }
+  
+  // Files may still be in the process of being removed
+  if (_findTask(this, bundleName, Task.TASK_TYPE_REMOVE)) {
+    return _waitForTask(this, bundleName, Task.TASK_TYPE_REMOVE);
   }
+  return _resolvedPromise(bundleName);
 }
 
+/**
+ * Update a bundle to a new version.  Only files that are new, or whose fileHashes entry
+ * changed, are downloaded.  The current version stays loaded, and its files usable with
+ * localURL(), until the new version is completely downloaded.  Then the new version
+ * replaces it, and files that are no longer used are deleted.
+ *
+ * If the bundle has not been added, it is added.  If it is still loading, loading starts
+ * over with the new version.  If the bundle (or its pending update) already has the same
+ * version, nothing happens.
+ *
+ * @param {object} the new version of the bundle, usually with a version property
+ * @return {object} promise resolved with the bundle name when the new version is in place and loaded,
+ *         or rejected with the same DAMError that DAM.BUNDLE_EVENT_ERROR carries
+ * @throws {DAMError} DAMError.MALFORMED_BUNDLE if the bundle is malformed
+ */
+DAM.prototype.updateBundle = function(bundle) {
+  if (_malformedBundle(bundle, this)) throw new DAMError(DAMError.MALFORMED_BUNDLE, "Malformed bundle passed to updateBundle");
+  
+  var bundleName = bundle.name;
+  if (!this.bundles.hasOwnProperty(bundleName)) return this.addBundle(bundle);
+  
+  var current = this.bundles[bundleName],
+      copy = _copyBundle(bundle),
+      promise;
+  
+  if (typeof(bundle.version) != 'undefined' && current.update && current.update.version === bundle.version) {
+    return _waitForTask(this, bundleName, Task.TASK_TYPE_UPDATE);
+  }
+  if (typeof(bundle.version) != 'undefined' && !current.update && current.version === bundle.version) {
+    return current.loaded ? _resolvedPromise(bundleName) : _waitForTask(this, bundleName, Task.TASK_TYPE_LOAD);
+  }
+  
+  if (!current.loaded) {
+    // Nothing usable to keep, so start loading the new version instead.  Any files
+    // only the old version used are left behind.
+    copy.loaded = false;
+    this.bundles[bundleName] = copy;
+    _saveBundles(this, bundleName);
+    _loadDependencies(this, copy);
+    promise = _waitForTask(this, bundleName, Task.TASK_TYPE_LOAD);
+    _cancelTask(this, bundleName, Task.TASK_TYPE_LOAD, true);
+    _maybeAddTask(this, bundleName, Task.TASK_TYPE_LOAD);
+    return promise;
+  }
+  
+  current.update = copy;
+  _saveBundles(this, bundleName);
+  _loadDependencies(this, copy);
+  promise = _waitForTask(this, bundleName, Task.TASK_TYPE_UPDATE);
+  _cancelTask(this, bundleName, Task.TASK_TYPE_UPDATE, true);
+  _maybeAddTask(this, bundleName, Task.TASK_TYPE_UPDATE);
+  return promise;
+};
+
+/**
+ * Add a bundle described by a JSON manifest on a server.  The manifest is a bundle object
+ * (see addBundle), and its files may be relative to the manifest's URL.  The manifest URL
+ * is remembered, and checked for new versions of the bundle by init() and once an hour,
+ * using the server's ETag / Last-Modified headers.  New versions are applied with updateBundle().
+ * @param {string} URL of the manifest
+ * @return {object} promise resolved with the bundle name when the bundle is loaded, or rejected
+ *         with a DAMError
+ */
+DAM.prototype.addBundleFromManifest = function(url) {
+  var that = this,
+      record = this.manifests[url];
+  // If its bundle has gone, "not modified" would leave nothing to add, so fetch it again
+  if (record && !this.bundles.hasOwnProperty(record.bundleNames[0])) {
+    delete record.etag;
+    delete record.lastModified;
+  }
+  var promise = _makePromise(function(resolve, reject) {
+    _checkManifest(that, url, 'bundle', function(error, promises) {
+      if (error) {
+        reject(error);
+      } else {
+        promises[0].then(resolve, reject);
+      }
+    });
+  });
+  // Clients using only the event API never look at the promise, as for _waitForTask()
+  promise['catch'](function() {});
+  return promise;
+};
+
+/**
+ * Add the bundles listed in a JSON catalog on a server.  The catalog looks like
+ *
+ * { bundles : [ { name : "bundle1", files : [...] }, "bundle2.json" ] }
+ *
+ * Each entry is a bundle object, or the URL of a bundle manifest (see addBundleFromManifest).
+ * URLs may be relative to the catalog's URL.  Like manifests, the catalog is checked for
+ * changes by init() and once an hour.  Bundles that are new to the catalog are added, and
+ * new versions of bundles are applied with updateBundle().  Bundles removed by the client
+ * are not added again.
+ * @param {string} URL of the catalog
+ * @return {object} promise resolved with an array of bundle names when all the bundles are
+ *         loaded, or rejected with a DAMError
+ */
+DAM.prototype.addBundlesFromCatalog = function(url) {
+  var that = this;
+  var promise = _makePromise(function(resolve, reject) {
+    _checkManifest(that, url, 'catalog', function(error, promises) {
+      if (error) {
+        reject(error);
+      } else {
+        _allPromises(promises).then(resolve, reject);
+      }
+    });
+  });
+  promise['catch'](function() {});
+  return promise;
+};
+
+/**
+ * Check remote manifests and catalogs for new versions now, rather than waiting for
+ * the next hourly check.
+ * @return {object} promise resolved when all have been checked
+ */
+DAM.prototype.checkManifests = function() {
+  var that = this;
+  return _makePromise(function(resolve) {
+    _checkManifests(that, resolve);
+  });
+};
+
 /**
  * @private
  * Add a task to the tasks queue.   If a task already exists with the
@@ -396,17 +1647,32 @@ DAM.prototype.removeBundle = function(bundleName) {
 function _maybeAddTask(manager, bundleName, type, extra) {
   if(typeof(extra)==='undefined') extra = {};
   
-  for (var i=0; i < manager.tasks.length; i++) {
-    if (manager.tasks[i].bundleName == bundleName && manager.tasks[i].type == type && manager.tasks[i].canceled == false) {
-      return;
-    }
-  }
+  if (_findTask(manager, bundleName, type)) return;
   
   var newTask = new Task(manager, bundleName, type, extra);  
   manager.tasks.push(newTask);
+  _saveJournal(manager);
+  if (type == Task.TASK_TYPE_LOAD) _checkDependenciesSoon(manager);
   _doTasks(manager);
 }
 
+/**
+ * @private
+ * Find a task in the task queue that has not been canceled
+ * @param {object} DAM
+ * @param {string} name of the bundle
+ * @param {string} type of task
+ * @return {object} the task, or null if there is none
+ */
+function _findTask(manager, bundleName, type) {
+  for (var i=0; i < manager.tasks.length; i++) {
+    if (manager.tasks[i].bundleName == bundleName && manager.tasks[i].type == type && manager.tasks[i].canceled == false) {
+      return manager.tasks[i];
+    }
+  }
+  return null;
+}
+
 /**
  * @private
  * Cancel a task. (e.g. If we're downloading a bundle, and then it's removed
@@ -414,305 +1680,3174 @@ function _maybeAddTask(manager, bundleName, type, extra) {
  * @param {object} DAM
  * @param {string} name of the bundle
  * @param {string} type of task
+ * @param {boolean} optional, leave promises waiting on the task alone, because a new
+ *        task of the same type is taking over
  */
-function _cancelTask(manager, bundleName, type) {
+function _cancelTask(manager, bundleName, type, keepWaiters) {
   // Important: NEVER remove a task.  That is a responsibility of the doTask() function.
   // Just mark it as canceled, and the task handler will notice when it completes
   // an asynchronous task, and doTask() will clean it up.
   for (var i=0; i < manager.tasks.length; i++) {
     if (manager.tasks[i].bundleName == bundleName && manager.tasks[i].type == type) {
-      manager.tasks[i].abort();
+      manager.tasks[i].abort(keepWaiters);
     }
   }
+  _saveJournal(manager);
 }
 
 /**
  * @private
- * Do all tasks in order.
+ * Save the tasks that are still to be done, so that init() can finish them if the app is
+ * closed first.  Removals in particular can't be worked out again, because the bundle's
+ * record is already gone.  Tasks are safe to run again: files that are already downloaded
+ * or deleted are skipped.
  * @param {object} DAM object
  */
-function _doTasks(manager) {
-  if (manager.doingTasks) return;
-  
-  (function loop() {
-    var i;
-    
-    // Removed canceled tasks first
-    for (i=0; i < manager.tasks.length; /*no increment */) {
-      if (manager.tasks[i].canceled == true) {
-        manager.tasks.splice(i,1);
-      } else {
-        i++;
-      }
-    }
-  
-    // Now look for a non-failed task to do
-    var task = null;
-    for (i=0; i < manager.tasks.length; i++) {
-      if (manager.tasks[i].failed == false) {
-        task = manager.tasks[i];
-        break;
-      }
-    }
-    
-    if (task == null) {
-      if (manager.doingTasks) {
-        manager.doingTasks = false;
-        _sendEvent(manager, {event:DAM.GLOBAL_EVENT_NOTBUSY});
-      }
-      return;
-    }
-    
-    if (manager.doingTasks == false) {
-      manager.doingTasks = true;
-      _sendEvent(manager, {event:DAM.GLOBAL_EVENT_BUSY});
-    }
+function _saveJournal(manager) {
+  // Until init() has queued its tasks again, the saved journal is the only record of them
+  if (!manager.journalReplayed) return;
+  var journal = [];
+  for (var i=0; i < manager.tasks.length; i++) {
+    var task = manager.tasks[i];
+    if (task.canceled || (task.failed && !task.retry)) continue;
+    var entry = {type:task.type, name:task.bundleName};
+    if (task.type == Task.TASK_TYPE_REMOVE) entry.bundle = task.extra;
+    journal.push(entry);
+  }
+  _saveItem(manager, manager.tasksKey, journal);
+}
 
-    task.doIt(onComplete);
+/**
+ * @private
+ * Delete the records of bundles that were being removed, if the app was closed before they
+ * were saved without them.  Their remove tasks are queued again by _replayJournal().
+ * @param {object} DAM object
+ * @param {array} saved tasks
+ */
+function _dropRemovedBundles(manager, journal) {
+  for (var i=0; i < journal.length; i++) {
+    var entry = journal[i];
+    if (entry.type != Task.TASK_TYPE_REMOVE || !manager.bundles.hasOwnProperty(entry.name)) continue;
+    delete manager.bundles[entry.name];
+    _saveBundles(manager, entry.name);
+    _forgetAccess(manager, entry.name);
+    _forgetPaused(manager, entry.name);
+    _forgetManifest(manager, entry.name);
+  }
+}
+
+/**
+ * @private
+ * Queue the tasks that were saved by _saveJournal() again, in the same order
+ * @param {object} DAM object
+ * @param {array} saved tasks
+ */
+function _replayJournal(manager, journal) {
+  manager.journalReplayed = true;
+  for (var i=0; i < journal.length; i++) {
+    var entry = journal[i], bundle = manager.bundles[entry.name];
     
-    function onComplete() {
-      if (task.canceled) {
-        // will get cleaned up on loop
-      } else if (task.failed) {
-        if (task.retry == false) manager.tasks.splice(i,1);
-      } else {
-        manager.tasks.splice(i,1);
+    if (entry.type == Task.TASK_TYPE_REMOVE) {
+      // Unless it has been added again since
+      if (!bundle) _maybeAddTask(manager, entry.name, entry.type, entry.bundle);
+    } else if (bundle && !_expired(bundle)) {
+      // Only if it still needs doing.  A bundle that is not loaded, and has an update, is
+      // replaced by the update in init() before it's loaded.
+      if (entry.type == Task.TASK_TYPE_LOAD ? (!bundle.loaded && !bundle.update) : (bundle.loaded && bundle.update)) {
+        _maybeAddTask(manager, entry.name, entry.type);
       }
-      loop();
     }
-  })();
+  }
+  _saveJournal(manager);
 }
 
-  /***********************************************
+/**
+ * @private
+ * Start tasks in order, as many at once as maxConcurrentDownloads allows.
+ * Safe to call at any time, including from within a task's completion.
+ * @param {object} DAM object
+ */
+function _doTasks(manager) {
+  if (manager.tasksHeld > 0) return;
+  if (manager.schedulingTasks) {
+    manager.rescheduleTasks = true;
+    return;
+  }
+  manager.schedulingTasks = true;
+  
+  do {
+    manager.rescheduleTasks = false;
+    _startTasks(manager);
+  } while (manager.rescheduleTasks);
+  
+  manager.schedulingTasks = false;
+}
+
+/**
+ * @private
+ * Queue tasks without starting them until _releaseTasks(), e.g. while the bundles of a
+ * catalog are being added, so none of them is started before those it depends on are added
+ * @param {object} DAM object
+ */
+function _holdTasks(manager) {
+  manager.tasksHeld++;
+}
+
+function _releaseTasks(manager) {
+  manager.tasksHeld--;
+  if (manager.tasksHeld == 0) _checkDependenciesSoon(manager);
+  _doTasks(manager);
+}
+
+/**
+ * @private
+ * One scheduling pass for _doTasks()
+ * @param {object} DAM object
+ */
+function _startTasks(manager) {
+  var i, task, queue;
+  
+  // Removed canceled tasks first, and tasks that have given up.  Ones that are still
+  // running get cleaned up once they complete.
+  var removed = false;
+  for (i=0; i < manager.tasks.length; /*no increment */) {
+    task = manager.tasks[i];
+    if ((task.canceled == true || (task.failed == true && task.retry == false)) && task.running == false) {
+      manager.tasks.splice(i,1);
+      removed = true;
+    } else {
+      i++;
+    }
+  }
+  if (removed) _saveJournal(manager);
+  
+  // Now look for non-failed tasks to do, highest priority first.  Only removals while the
+  // app is in the background, as they need no network.
+  queue = _tasksByPriority(manager);
+  for (i=0; i < queue.length && _runningTaskCount(manager) < manager.maxConcurrentDownloads; i++) {
+    task = queue[i];
+    if (task.running || task.failed || task.canceled) continue;
+    if (manager.suspended && task.type != Task.TASK_TYPE_REMOVE) continue;
+    // Never work on the same bundle twice at once, e.g. a remove still cleaning up
+    // after being canceled, and a new load of the same bundle
+    if (_bundleTaskRunning(manager, task.bundleName)) continue;
+    if (task.type != Task.TASK_TYPE_REMOVE && _isPaused(manager, task.bundleName)) continue;
+    
+    if (task.type == Task.TASK_TYPE_LOAD) {
+      var dependency = _unloadedDependency(manager, task.bundleName);
+      if (dependency != null) {
+        if (task.waitingFor != dependency) {
+          task.waitingFor = dependency;
+          _sendEvent(manager, {event:DAM.BUNDLE_EVENT_WAITING, name:task.bundleName, dependsOn:dependency});
+        }
+        continue;
+      }
+      task.waitingFor = null;
+    }
+    
+    if (!_networkAllowed(manager, task)) {
+      if (!task.waiting) {
+        task.waiting = true;
+        _sendEvent(manager, {event:DAM.BUNDLE_EVENT_WAITING, name:task.bundleName, network:_networkPolicy(manager, task)});
+      }
+      continue;
+    }
+    task.waiting = false;
+    
+    if (manager.doingTasks == false) {
+      manager.doingTasks = true;
+      _sendEvent(manager, {event:DAM.GLOBAL_EVENT_BUSY});
+    }
+    _runTask(manager, task);
+  }
+  
+  if (manager.doingTasks && _runningTaskCount(manager) == 0) {
+    manager.doingTasks = false;
+    _sendEvent(manager, {event:DAM.GLOBAL_EVENT_NOTBUSY});
+  }
+}
+
+/**
+ * @private
+ * The task queue in the order tasks should be started: by priority, and in the order
+ * they were added when priorities are the same.  manager.tasks itself is left alone.
+ * @param {object} DAM object
+ * @return {array} tasks
+ */
+function _tasksByPriority(manager) {
+  var sorted = [];
+  for (var i=0; i < manager.tasks.length; i++) {
+    sorted.push({task:manager.tasks[i], index:i, priority:_taskPriority(manager, manager.tasks[i])});
+  }
+  sorted.sort(function(a, b) {
+    return (b.priority - a.priority) || (a.index - b.index);
+  });
+  for (i=0; i < sorted.length; i++) sorted[i] = sorted[i].task;
+  return sorted;
+}
+
+/**
+ * @private
+ * Priority of a task.  A bundle that something more important is waiting for to load
+ * gets that priority too.
+ * @param {object} DAM object
+ * @param {object} the task
+ * @return {number}
+ */
+function _taskPriority(manager, task) {
+  var bundle = manager.bundles[task.bundleName],
+      priority = (bundle && bundle.priority) || 0;
+  if (task.type != Task.TASK_TYPE_LOAD) return priority;
+  
+  for (var bundleName in manager.bundles) {
+    var dependsOn = manager.bundles[bundleName].dependsOn;
+    if (!dependsOn || !_contains(dependsOn, task.bundleName)) continue;
+    var dependent = _findTask(manager, bundleName, Task.TASK_TYPE_LOAD);
+    if (dependent) priority = Math.max(priority, _taskPriority(manager, dependent));
+  }
+  return priority;
+}
+
+/**
+ * @private
+ * Make room for the most important task that is ready to start, by stopping the least
+ * important download that is running, if it's less important.  The stopped download is
+ * queued again, and picks up where it left off when it can.
+ * @param {object} DAM object
+ */
+function _preemptTasks(manager) {
+  if (_runningTaskCount(manager) < manager.maxConcurrentDownloads) return;
+  
+  var queue = _tasksByPriority(manager), next = null, victim = null, i, task;
+  for (i=0; i < queue.length && next == null; i++) {
+    task = queue[i];
+    if (task.running || task.failed || task.canceled || task.type == Task.TASK_TYPE_REMOVE) continue;
+    if (_isPaused(manager, task.bundleName)) continue;
+    if (_bundleTaskRunning(manager, task.bundleName) || !_networkAllowed(manager, task)) continue;
+    if (task.type == Task.TASK_TYPE_LOAD && !_dependenciesLoaded(manager, task.bundleName)) continue;
+    next = task;
+  }
+  if (next == null) return;
+  
+  for (i=queue.length - 1; i >= 0 && victim == null; i--) {
+    task = queue[i];
+    if (task.running && !task.canceled && task.type != Task.TASK_TYPE_REMOVE) victim = task;
+  }
+  if (victim == null || _taskPriority(manager, victim) >= _taskPriority(manager, next)) return;
+  
+  _requeueTask(manager, victim);
+}
+
+/**
+ * @private
+ * Stop a running task, and queue it again to carry on later.  Whoever is waiting for the
+ * stopped task waits for the new one instead.  Files that are completely downloaded are kept.
+ * @param {object} DAM object
+ * @param {object} the task
+ */
+function _requeueTask(manager, task) {
+  task.abort(true);
+  _maybeAddTask(manager, task.bundleName, task.type, task.extra);
+}
+
+/**
+ * @private
+ * Run a task, and clean it up when it completes
+ * @param {object} DAM object
+ * @param {object} the task
+ */
+function _runTask(manager, task) {
+  task.running = true;
+  task.doIt(function onComplete() {
+    task.running = false;
+    _saveVerified(manager);
+    if (task.canceled) {
+      // will get cleaned up on next pass
+    } else if (task.failed) {
+      if (task.retry == false) {
+        _removeTask(manager, task);
+      } else {
+        task.attempts++;
+        task.retryAt = new Date().getTime() + _retryDelay(task.attempts);
+        _scheduleRetry(manager);
+      }
+    } else {
+      _removeTask(manager, task);
+    }
+    _doTasks(manager);
+  });
+}
+
+/**
+ * @private
+ * Time to wait before retrying a task that failed.  Exponential backoff, with random
+ * jitter so many clients don't all hit the server at once when it comes back.
+ * @param {number} number of times the task has failed in a row
+ * @return {number} milliseconds
+ */
+function _retryDelay(attempts) {
+  var delay = Math.min(RETRY_MAX_INTERVAL, RETRY_BASE_INTERVAL * Math.pow(2, attempts - 1));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * @private
+ * Set a timer for the next failed task that is due to be retried
+ * @param {object} DAM object
+ */
+function _scheduleRetry(manager) {
+  if (manager.retryTimer != null) {
+    clearTimeout(manager.retryTimer);
+    manager.retryTimer = null;
+  }
+  if (manager.suspended) return;  // retries are started again on resume
+  
+  var retryAt = null;
+  for (var i=0; i < manager.tasks.length; i++) {
+    var task = manager.tasks[i];
+    if (task.canceled == false && task.failed == true && task.retry == true) {
+      if (retryAt == null || task.retryAt < retryAt) retryAt = task.retryAt;
+    }
+  }
+  if (retryAt == null) return;
+  
+  manager.retryTimer = setTimeout(function() {
+    manager.retryTimer = null;
+    _retryTasks(manager, false);
+  }, Math.max(0, retryAt - new Date().getTime()));
+}
+
+/**
+ * @private
+ * Make failed tasks eligible to run again
+ * @param {object} DAM object
+ * @param {boolean} retry all of them now, and start their backoff over, e.g. when the
+ *        network comes back.  Otherwise only those that are due.
+ */
+function _retryTasks(manager, all) {
+  var now = new Date().getTime(), changed = false;
+  for (var i=0; i < manager.tasks.length; i++) {
+    var task = manager.tasks[i];
+    if (task.canceled == false && task.failed == true && task.retry == true) {
+      if (all) task.attempts = 0;
+      if (all || task.retryAt <= now) {
+        task.failed = false;
+        task.retry = false;
+        changed = true;
+      }
+    }
+  }
+  if (changed) _saveJournal(manager);
+  _doTasks(manager);
+  _scheduleRetry(manager);
+}
+
+/**
+ * @private
+ * Find a bundle that a bundle depends on, and that is not loaded yet.  Dependencies that are
+ * not loading are started, e.g. after they failed before.
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ * @return {string} name of the dependency, or null if all are loaded
+ */
+function _unloadedDependency(manager, bundleName) {
+  var dependsOn = manager.bundles[bundleName].dependsOn || [];
+  for (var i=0; i < dependsOn.length; i++) {
+    var dependency = manager.bundles[dependsOn[i]];
+    if (dependency && dependency.loaded) continue;
+    if (dependency) _maybeAddTask(manager, dependsOn[i], Task.TASK_TYPE_LOAD);
+    return dependsOn[i];
+  }
+  return null;
+}
+
+/**
+ * @private
+ * Fail loads whose dependencies have not been added, once the code that queued them has
+ * had the chance to add their dependencies too
+ * @param {object} DAM object
+ */
+function _checkDependenciesSoon(manager) {
+  if (manager.dependencyTimer != null) return;
+  manager.dependencyTimer = setTimeout(function() {
+    manager.dependencyTimer = null;
+    // Still adding bundles.  _releaseTasks() checks again.
+    if (manager.tasksHeld > 0) return;
+    
+    var missing = [];
+    for (var i=0; i < manager.tasks.length; i++) {
+      var task = manager.tasks[i];
+      if (task.type != Task.TASK_TYPE_LOAD || task.running || task.failed || task.canceled) continue;
+      if (!manager.bundles.hasOwnProperty(task.bundleName)) continue;
+      var dependency = _unloadedDependency(manager, task.bundleName);
+      if (dependency != null && !manager.bundles.hasOwnProperty(dependency)) missing.push({task:task, dependency:dependency});
+    }
+    for (i=0; i < missing.length; i++) {
+      // _taskError() fails the bundles that depend on this one too, so it may have failed already
+      if (missing[i].task.failed) continue;
+      _taskError(missing[i].task, new DAMError(DAMError.NOT_FOUND, "Dependency " + missing[i].dependency + " of " + missing[i].task.bundleName + " has not been added"),
+                 false, function() {});
+    }
+    _doTasks(manager);
+  }, 0);
+}
+
+/**
+ * @private
+ * Are the bundles a bundle depends on loaded?
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ * @return {boolean}
+ */
+function _dependenciesLoaded(manager, bundleName) {
+  var dependsOn = manager.bundles[bundleName].dependsOn || [];
+  for (var i=0; i < dependsOn.length; i++) {
+    if (!manager.bundles[dependsOn[i]] || !manager.bundles[dependsOn[i]].loaded) return false;
+  }
+  return true;
+}
+
+/**
+ * @private
+ * Start loading the bundles a bundle depends on, that have been added but are not loaded.
+ * Loading fails if any have not been added (see _checkDependenciesSoon).
+ * @param {object} DAM object
+ * @param {object} bundle record
+ */
+function _loadDependencies(manager, bundle) {
+  var dependsOn = bundle.dependsOn || [];
+  for (var i=0; i < dependsOn.length; i++) {
+    var dependency = manager.bundles[dependsOn[i]];
+    if (dependency && !dependency.loaded) _maybeAddTask(manager, dependsOn[i], Task.TASK_TYPE_LOAD);
+  }
+}
+
+/**
+ * @private
+ * A bundle could not be loaded, so give up on loading the bundles that depend on it
+ * @param {object} DAM object
+ * @param {string} name of the bundle that failed
+ * @param {object} DAMError it failed with
+ */
+function _failDependents(manager, bundleName, error) {
+  var failed = [];
+  for (var i=0; i < manager.tasks.length; i++) {
+    var task = manager.tasks[i];
+    if (task.type != Task.TASK_TYPE_LOAD || task.running || task.canceled) continue;
+    var bundle = manager.bundles[task.bundleName];
+    if (bundle && bundle.dependsOn && _contains(bundle.dependsOn, bundleName)) failed.push(task);
+  }
+  // _startTasks() cleans them up
+  for (i=0; i < failed.length; i++) {
+    _taskError(failed[i], new DAMError(DAMError.DEPENDENCY, "Dependency " + bundleName + " of " + failed[i].bundleName + " could not be loaded",
+                                       {cause:error}), false, function() {});
+  }
+}
+
+/**
+ * @private
+ * Find the bundles that depend on a bundle, now or in their pending update
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ * @return {array} names of the bundles
+ */
+function _dependents(manager, bundleName) {
+  var dependents = [];
+  for (var name in manager.bundles) {
+    var bundle = manager.bundles[name];
+    if (   (bundle.dependsOn && _contains(bundle.dependsOn, bundleName))
+        || (bundle.update && bundle.update.dependsOn && _contains(bundle.update.dependsOn, bundleName))) {
+      dependents.push(name);
+    }
+  }
+  return dependents;
+}
+
+/**
+ * @private
+ * Would adding (or updating to) a bundle make dependencies go round in a circle?
+ * @param {object} DAM object
+ * @param {object} the bundle
+ * @return {boolean}
+ */
+function _dependencyCycle(manager, bundle) {
+  var visited = {};
+  return (function reaches(dependsOn) {
+    for (var i=0; i < dependsOn.length; i++) {
+      if (dependsOn[i] == bundle.name) return true;
+      if (visited.hasOwnProperty(dependsOn[i])) continue;
+      visited[dependsOn[i]] = true;
+      var dependency = manager.bundles[dependsOn[i]];
+      if (dependency) {
+        var next = (dependency.dependsOn || []).concat(dependency.update && dependency.update.dependsOn || []);
+        if (reaches(next)) return true;
+      }
+    }
+    return false;
+  })(bundle.dependsOn || []);
+}
+
+/**
+ * @private
+ * Network policy for a task: the bundle's own (or its new version's, when updating),
+ * or the DAM's
+ * @param {object} DAM object
+ * @param {object} the task
+ * @return {string} DAM.NETWORK_ANY, DAM.NETWORK_WIFI or DAM.NETWORK_UNMETERED
+ */
+function _networkPolicy(manager, task) {
+  var bundle = manager.bundles[task.bundleName];
+  if (bundle && task.type == Task.TASK_TYPE_UPDATE && bundle.update) bundle = bundle.update;
+  return (bundle && bundle.network) || manager.network;
+}
+
+/**
+ * @private
+ * May a task run on the current connection?  Removing files needs no network.  Where the
+ * type of connection can't be told, e.g. in browsers without navigator.connection, downloads
+ * are allowed.
+ * @param {object} DAM object
+ * @param {object} the task
+ * @return {boolean}
+ */
+function _networkAllowed(manager, task) {
+  if (task.type == Task.TASK_TYPE_REMOVE) return true;
+  var policy = _networkPolicy(manager, task);
+  if (policy == DAM.NETWORK_ANY) return true;
+  if (typeof(navigator) == 'undefined' || !navigator.connection || !navigator.connection.type) return true;
+  
+  var type = navigator.connection.type;
+  if (policy == DAM.NETWORK_WIFI) return type == 'wifi';
+  return type == 'wifi' || type == 'ethernet';
+}
+
+function _removeTask(manager, task) {
+  for (var i=0; i < manager.tasks.length; i++) {
+    if (manager.tasks[i] === task) {
+      manager.tasks.splice(i,1);
+      _saveJournal(manager);
+      return;
+    }
+  }
+}
+
+function _runningTaskCount(manager) {
+  var count = 0;
+  for (var i=0; i < manager.tasks.length; i++) {
+    if (manager.tasks[i].running) count++;
+  }
+  return count;
+}
+
+function _bundleTaskRunning(manager, bundleName) {
+  for (var i=0; i < manager.tasks.length; i++) {
+    if (manager.tasks[i].running && manager.tasks[i].bundleName == bundleName) return true;
+  }
+  return false;
+}
+
+/**
+ * @private
+ * Wait for one of the maxConcurrentDownloads download slots to be free.  Slots are
+ * handed out by priority, then in the order they were asked for.
+ * @param {object} DAM object
+ * @param {object} the task that wants to download
+ * @param {function} callback(gotSlot).  gotSlot is false if the task was aborted while
+ *        waiting.  If true, _releaseDownloadSlot() must be called when the download is done.
+ */
+function _acquireDownloadSlot(manager, task, callback) {
+  if (manager.activeDownloads < manager.maxConcurrentDownloads) {
+    manager.activeDownloads++;
+    callback(true);
+  } else {
+    manager.downloadQueue.push({task:task, callback:callback});
+  }
+}
+
+function _releaseDownloadSlot(manager) {
+  if (manager.downloadQueue.length > 0) {
+    // hand the slot straight to the next in line
+    var next = 0;
+    for (var i=1; i < manager.downloadQueue.length; i++) {
+      if (_taskPriority(manager, manager.downloadQueue[i].task) > _taskPriority(manager, manager.downloadQueue[next].task)) next = i;
+    }
+    manager.downloadQueue.splice(next, 1)[0].callback(true);
+  } else {
+    manager.activeDownloads--;
+  }
+}
+
+/**
+ * @private
+ * Stop waiting for download slots for an aborted task
+ * @param {object} DAM object
+ * @param {object} the task
+ */
+function _dropDownloadSlotRequests(manager, task) {
+  var dropped = [];
+  for (var i=0; i < manager.downloadQueue.length; /* no increment */) {
+    if (manager.downloadQueue[i].task === task) {
+      dropped.push(manager.downloadQueue.splice(i,1)[0]);
+    } else {
+      i++;
+    }
+  }
+  // Don't call back synchronously with the client call that caused the abort
+  if (dropped.length > 0) setTimeout(function() {
+    for (var d=0; d < dropped.length; d++) dropped[d].callback(false);
+  }, 0);
+}
+
+/**
+ * @private
+ * Wait until no other download is using a file's partial file, e.g. when one bundle that
+ * has the file is loading while another is updating, then take it
+ * @param {object} DAM object
+ * @param {string} local file name
+ * @param {function} callback once it is ours.  _unlockPartial() must be called when the
+ *        download is done with it.
+ */
+function _lockPartial(manager, localName, callback) {
+  if (manager.partialLocks.hasOwnProperty(localName)) {
+    manager.partialLocks[localName].push(callback);
+  } else {
+    manager.partialLocks[localName] = [];
+    callback();
+  }
+}
+
+function _unlockPartial(manager, localName) {
+  var waiting = manager.partialLocks[localName];
+  if (!waiting) return;
+  if (waiting.length == 0) {
+    delete manager.partialLocks[localName];
+  } else {
+    setTimeout(waiting.shift(), 0);
+  }
+}
+
+/**
+ * @private
+ * Get a promise that is settled when a task of the given type completes for a bundle.
+ * @param {object} DAM
+ * @param {string} name of the bundle
+ * @param {string} type of task
+ * @return {object} promise
+ */
+function _waitForTask(manager, bundleName, type) {
+  var promise = _makePromise(function(resolve, reject) {
+    manager.waiters.push({bundleName:bundleName, type:type, resolve:resolve, reject:reject});
+  });
+  // Clients using only the event API never look at the promise, so don't let a
+  // rejection be reported as unhandled.
+  promise['catch'](function() {});
+  return promise;
+}
+
+/**
+ * @private
+ * Settle the promises waiting on a task.
+ * @param {object} DAM
+ * @param {string} name of the bundle
+ * @param {string} type of task
+ * @param {object} DAMError to reject with.  If undefined, promises are resolved.
+ */
+function _settleWaiters(manager, bundleName, type, error) {
+  for (var i=0; i < manager.waiters.length; /* no increment */ ) {
+    var waiter = manager.waiters[i];
+    if (waiter.bundleName == bundleName && waiter.type == type) {
+      manager.waiters.splice(i,1);
+      if (typeof(error) == 'undefined') {
+        waiter.resolve(bundleName);
+      } else {
+        waiter.reject(error);
+      }
+    } else {
+      i++;
+    }
+  }
+}
+
+  /**
+   * Promise that resolves with an array of values when all promises resolve, or
+   * rejects when one of them does
+   */
+  function _allPromises(promises) {
+    return _makePromise(function(resolve, reject) {
+      var values = [], remaining = promises.length;
+      if (remaining == 0) resolve(values);
+      for (var i=0; i < promises.length; i++) (function(index) {
+        promises[index].then(function(value) {
+          values[index] = value;
+          if (--remaining == 0) resolve(values);
+        }, reject);
+      })(i);
+    });
+  }
+
+  /**
+   * Create a native Promise if there is one, otherwise a Thenable
+   * @param {function} executor(resolve, reject)
+   */
+  function _makePromise(executor) {
+    return (typeof(Promise) !== 'undefined') ? new Promise(executor) : new Thenable(executor);
+  }
+  
+  function _resolvedPromise(value) {
+    return _makePromise(function(resolve) { resolve(value); });
+  }
+  
+  function _rejectedPromise(reason) {
+    var promise = _makePromise(function(resolve, reject) { reject(reason); });
+    promise['catch'](function() {});
+    return promise;
+  }
+
+/**
+ * @private
+ * Minimal promise for platforms with no native Promise (e.g. older Android WebViews).
+ * Supports then() and catch() chaining, always calling handlers asynchronously.
+ * @param {function} executor(resolve, reject)
+ */
+function Thenable(executor) {
+  var that = this;
+  this.state = 'pending';
+  this.value = undefined;
+  this.handlers = [];
+  this.adopting = false;
+  try {
+    executor(function(value) { _settleThenable(that, 'fulfilled', value); },
+             function(reason) { _settleThenable(that, 'rejected', reason); });
+  } catch (e) {
+    _settleThenable(that, 'rejected', e);
+  }
+}
+
+Thenable.prototype.then = function(onFulfilled, onRejected) {
+  var that = this;
+  return new Thenable(function(resolve, reject) {
+    that.handlers.push({onFulfilled:onFulfilled, onRejected:onRejected, resolve:resolve, reject:reject});
+    if (that.state != 'pending') _flushThenable(that);
+  });
+};
+
+Thenable.prototype['catch'] = function(onRejected) {
+  return this.then(null, onRejected);
+};
+
+function _settleThenable(thenable, state, value) {
+  if (thenable.state != 'pending' || thenable.adopting) return;
+  
+  // Resolving with another promise adopts its eventual state
+  if (state == 'fulfilled' && value && typeof(value.then) == 'function') {
+    thenable.adopting = true;
+    value.then(function(v) {
+      thenable.adopting = false;
+      _settleThenable(thenable, 'fulfilled', v);
+    }, function(r) {
+      thenable.adopting = false;
+      _settleThenable(thenable, 'rejected', r);
+    });
+    return;
+  }
+  
+  thenable.state = state;
+  thenable.value = value;
+  _flushThenable(thenable);
+}
+
+function _flushThenable(thenable) {
+  setTimeout(function() {
+    var handlers = thenable.handlers;
+    thenable.handlers = [];
+    for (var i=0; i < handlers.length; i++) {
+      var handler = handlers[i],
+          fn = (thenable.state == 'fulfilled') ? handler.onFulfilled : handler.onRejected;
+      if (typeof(fn) != 'function') {
+        if (thenable.state == 'fulfilled') {
+          handler.resolve(thenable.value);
+        } else {
+          handler.reject(thenable.value);
+        }
+        continue;
+      }
+      try {
+        handler.resolve(fn(thenable.value));
+      } catch (e) {
+        handler.reject(e);
+      }
+    }
+  }, 0);
+}
+
+  /***********************************************
       tiny-sha1 r4
       MIT License
       http://code.google.com/p/tiny-sha1/
    ***********************************************/
   function SHA1(s){function U(a,b,c){while(0<c--)a.push(b)}function L(a,b){return(a<<b)|(a>>>(32-b))}function P(a,b,c){return a^b^c}function A(a,b){var c=(b&0xFFFF)+(a&0xFFFF),d=(b>>>16)+(a>>>16)+(c>>>16);return((d&0xFFFF)<<16)|(c&0xFFFF)}var B="0123456789abcdef";return(function(a){var c=[],d=a.length*4,e;for(var i=0;i<d;i++){e=a[i>>2]>>((3-(i%4))*8);c.push(B.charAt((e>>4)&0xF)+B.charAt(e&0xF))}return c.join('')}((function(a,b){var c,d,e,f,g,h=a.length,v=0x67452301,w=0xefcdab89,x=0x98badcfe,y=0x10325476,z=0xc3d2e1f0,M=[];U(M,0x5a827999,20);U(M,0x6ed9eba1,20);U(M,0x8f1bbcdc,20);U(M,0xca62c1d6,20);a[b>>5]|=0x80<<(24-(b%32));a[(((b+65)>>9)<<4)+15]=b;for(var i=0;i<h;i+=16){c=v;d=w;e=x;f=y;g=z;for(var j=0,O=[];j<80;j++){O[j]=j<16?a[j+i]:L(O[j-3]^O[j-8]^O[j-14]^O[j-16],1);var k=(function(a,b,c,d,e){var f=(e&0xFFFF)+(a&0xFFFF)+(b&0xFFFF)+(c&0xFFFF)+(d&0xFFFF),g=(e>>>16)+(a>>>16)+(b>>>16)+(c>>>16)+(d>>>16)+(f>>>16);return((g&0xFFFF)<<16)|(f&0xFFFF)})(j<20?(function(t,a,b){return(t&a)^(~t&b)}(d,e,f)):j<40?P(d,e,f):j<60?(function(t,a,b){return(t&a)^(t&b)^(a&b)}(d,e,f)):P(d,e,f),g,M[j],O[j],L(c,5));g=f;f=e;e=L(d,30);d=c;c=k}v=A(v,c);w=A(w,d);x=A(x,e);y=A(y,f);z=A(z,g)}return[v,w,x,y,z]}((function(t){var a=[],b=255,c=t.length*8;for(var i=0;i<c;i+=8){a[i>>5]|=(t.charCodeAt(i/8)&b)<<(24-(i%32))}return a}(s)).slice(),s.length*8))))}
   /***********************************************/
+  /**
+   * SHA-1 of a binary string (one byte per character), as hex.
+   * Not tiny-sha1, which gets the padding wrong for some lengths.  That does not matter
+   * for naming files, but does for checking their contents.
+   */
+  function _sha1Hex(s) {
+    var H = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    var M = _padMessage(s), W = [], i, j;
+    
+    for (i=0; i < M.length; i += 16) {
+      var a = H[0], b = H[1], c = H[2], d = H[3], e = H[4];
+      for (j=0; j < 80; j++) {
+        W[j] = (j < 16) ? M[i + j] : _rotl(W[j-3] ^ W[j-8] ^ W[j-14] ^ W[j-16], 1);
+        var f, k;
+        if (j < 20)      { f = (b & c) | (~b & d);          k = 0x5a827999; }
+        else if (j < 40) { f = b ^ c ^ d;                   k = 0x6ed9eba1; }
+        else if (j < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8f1bbcdc; }
+        else             { f = b ^ c ^ d;                   k = 0xca62c1d6; }
+        var t = (_rotl(a, 5) + f + e + k + W[j]) | 0;
+        e = d; d = c; c = _rotl(b, 30); b = a; a = t;
+      }
+      H[0] = (H[0] + a) | 0; H[1] = (H[1] + b) | 0; H[2] = (H[2] + c) | 0;
+      H[3] = (H[3] + d) | 0; H[4] = (H[4] + e) | 0;
+    }
+    return _wordsToHex(H);
+  }
+
+  /**
+   * SHA-256 of a binary string (one byte per character), as hex
+   */
+  function _sha256Hex(s) {
+    var K = [0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+             0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+             0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+             0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+             0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+             0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+             0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+             0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2];
+    var H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    var M = _padMessage(s), W = [], i, j;
+    
+    function R(x, c) { return (x >>> c) | (x << (32 - c)); }
+    
+    for (i=0; i < M.length; i += 16) {
+      var a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+      for (j=0; j < 64; j++) {
+        if (j < 16) {
+          W[j] = M[i + j];
+        } else {
+          var s0 = R(W[j-15], 7) ^ R(W[j-15], 18) ^ (W[j-15] >>> 3),
+              s1 = R(W[j-2], 17) ^ R(W[j-2], 19) ^ (W[j-2] >>> 10);
+          W[j] = (W[j-16] + s0 + W[j-7] + s1) | 0;
+        }
+        var t1 = (h + (R(e, 6) ^ R(e, 11) ^ R(e, 25)) + ((e & f) ^ (~e & g)) + K[j] + W[j]) | 0,
+            t2 = ((R(a, 2) ^ R(a, 13) ^ R(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      H[0] = (H[0] + a) | 0; H[1] = (H[1] + b) | 0; H[2] = (H[2] + c) | 0; H[3] = (H[3] + d) | 0;
+      H[4] = (H[4] + e) | 0; H[5] = (H[5] + f) | 0; H[6] = (H[6] + g) | 0; H[7] = (H[7] + h) | 0;
+    }
+    
+    return _wordsToHex(H);
+  }
+
+  /**
+   * Big-endian 32 bit words of a binary string, padded as SHA-1 and SHA-256 need
+   */
+  function _padMessage(s) {
+    var l = s.length, n = (((l + 8) >> 6) + 1) << 4, M = [], i;
+    for (i=0; i < n; i++) M[i] = 0;
+    for (i=0; i < l; i++) M[i >> 2] |= (s.charCodeAt(i) & 0xff) << (24 - (i % 4) * 8);
+    M[l >> 2] |= 0x80 << (24 - (l % 4) * 8);
+    M[n - 2] = Math.floor(l / 0x20000000);
+    M[n - 1] = (l * 8) | 0;
+    return M;
+  }
+  
+  function _rotl(x, c) { return (x << c) | (x >>> (32 - c)); }
+  
+  function _wordsToHex(words) {
+    var hex = '';
+    for (var i=0; i < words.length; i++) hex += ('0000000' + (words[i] >>> 0).toString(16)).slice(-8);
+    return hex;
+  }
+
+/**
+ * @private
+ * Parse a hash from a bundle's fileHashes
+ * @param {string} hex SHA-1 or SHA-256, or subresource integrity style, e.g. "sha256-<base64>"
+ * @return {object} {algorithm:'SHA-1' or 'SHA-256', hex:lower case hex}, or null if not valid
+ */
+function _parseHash(hash) {
+  if (typeof(hash) != 'string') return null;
+  
+  var match = /^(sha1|sha256)-([A-Za-z0-9+\/]+={0,2})$/.exec(hash);
+  if (match) {
+    var binary;
+    try {
+      binary = window.atob(match[2]);
+    } catch (e) {
+      return null;
+    }
+    var hex = '';
+    for (var i=0; i < binary.length; i++) hex += ('0' + binary.charCodeAt(i).toString(16)).slice(-2);
+    hash = hex;
+  }
+  
+  if (/^[0-9a-fA-F]{40}$/.test(hash)) return {algorithm:'SHA-1', hex:hash.toLowerCase()};
+  if (/^[0-9a-fA-F]{64}$/.test(hash)) return {algorithm:'SHA-256', hex:hash.toLowerCase()};
+  return null;
+}
+
+/**
+ * @private
+ * Check a file's contents against a hash.  A file in the files area that matched before is
+ * only checked for being the same size, because reading and hashing big files takes a long
+ * time, and with cordova several times the file's size in memory.
+ * @param {object} DAM object
+ * @param {string} storage area of the file
+ * @param {string} local file name
+ * @param {string} hash from the bundle's fileHashes, or null/undefined to not check
+ * @param {function} callback(ok, size).  Not ok if the file can't be read.  size is the
+ *        file's size in bytes if it was read.
+ */
+function _verifyFile(manager, area, localName, hash, callback) {
+  if (hash == null) return callback(true);
+  
+  var expected = _parseHash(hash),
+      verified = (area == FILES_AREA) ? manager.verified[localName] : null;
+  if (verified && verified.hash == expected.hex) {
+    manager.storage.size(area, localName, function(size) {
+      if (size === verified.size) return callback(true);
+      _setVerified(manager, localName, null);
+      callback(false);
+    });
+    return;
+  }
+  
+  manager.storage.read(area, localName, function(buffer) {
+    if (buffer == null) return callback(false);
+    _hashArrayBuffer(buffer, expected.algorithm, function(hex) {
+      var ok = (hex === expected.hex);
+      if (area == FILES_AREA) _setVerified(manager, localName, ok ? expected.hex : null, buffer.byteLength);
+      callback(ok, buffer.byteLength);
+    });
+  });
+}
+
+/**
+ * @private
+ * Record (or forget, if hash is null) that a file in the files area matches its hash.  It's
+ * saved by _saveVerified() when the task or check doing it is finished.
+ * @param {object} DAM object
+ * @param {string} local file name
+ * @param {string} hex hash, or null
+ * @param {number} size of the file in bytes
+ */
+function _setVerified(manager, localName, hash, size) {
+  if (hash) {
+    manager.verified[localName] = {hash:hash, size:size};
+  } else if (manager.verified.hasOwnProperty(localName)) {
+    delete manager.verified[localName];
+  } else {
+    return;
+  }
+  manager.verifiedChanged = true;
+}
+
+/**
+ * @private
+ * Save what _setVerified() changed, all at once rather than for every file.  If the app
+ * is closed before then, files are only hashed again, as an entry that's lost or out of
+ * date never matches a file it shouldn't: its hash or size is checked too.
+ * @param {object} DAM object
+ */
+function _saveVerified(manager) {
+  if (!manager.verifiedChanged) return;
+  manager.verifiedChanged = false;
+  _saveItem(manager, manager.verifiedKey, manager.verified);
+}
+
+/**
+ * @private
+ * Forget that files matched their hashes, if no bundle uses them any more
+ * @param {object} DAM object
+ */
+function _forgetStaleVerified(manager) {
+  var referenced = _referencedFileNames(manager);
+  for (var localName in manager.verified) {
+    if (!referenced.hasOwnProperty(localName)) _setVerified(manager, localName, null);
+  }
+}
+
+  function _hashBinaryString(s, algorithm) {
+    return (algorithm == 'SHA-1') ? _sha1Hex(s) : _sha256Hex(s);
+  }
+  
+  /**
+   * Use Web Crypto where there is one, it is much faster
+   */
+  function _hashArrayBuffer(buffer, algorithm, callback) {
+    var subtle = window.crypto && window.crypto.subtle;
+    if (subtle) {
+      subtle.digest(algorithm, buffer).then(function(digest) {
+        callback(_bytesToHex(new Uint8Array(digest)));
+      }, fallback);
+    } else {
+      fallback();
+    }
+    
+    function fallback() {
+      var bytes = new Uint8Array(buffer), s = '';
+      for (var i=0; i < bytes.length; i += 8192) {
+        s += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+      }
+      callback(_hashBinaryString(s, algorithm));
+    }
+  }
+  
+  function _bytesToHex(bytes) {
+    var hex = '';
+    for (var i=0; i < bytes.length; i++) hex += ('0' + bytes[i].toString(16)).slice(-2);
+    return hex;
+  }
+
+  /**
+   * Helper function to get the local file name based on an asset's uri
+   * Preserves the file extension, if there is one
+   * @param {String} the remote URI of the file to store locally 
+   */
+  function _localFileName(uri) {
+    var l = uri.lastIndexOf('.');
+    return SHA1(uri) + ((l < 1 || l == uri.length - 1) ? '' : uri.substr(l));
+  }
+        
+  /**
+   * Always asks the storage, because some storages give a file a new URL when it is replaced
+   */
+  function _addLocalURL(manager, remoteURL, localName, callback) {
+    manager.storage.toURL(FILES_AREA, localName, function(url) {
+      if (url != null) manager.localURLs[remoteURL] = url;
+      callback();
+    });
+  }
+
+  function _removeLocalURL(manager, remoteURL) {
+    if(manager.localURLs.hasOwnProperty(remoteURL)) {
+      delete manager.localURLs[remoteURL];
+    }
+  }
+
+
+/**
+ * @private
+ * Task object to encapsulate a DAM task
+ */
+
+function Task(manager, bundleName, type, extra) {
+  this.manager = manager;
+  this.bundleName = bundleName;
+  this.type = type;
+  this.extra = extra;
+  this.failed = false;
+  this.error = false;
+  this.canceled = false;
+  this.retry = false;
+  this.attempts = 0;  // failures in a row, for retry backoff
+  this.retryAt = 0;
+  this.waiting = false;  // for a connection the network policy allows
+  this.waitingFor = null;  // name of a bundle this one depends on, that is not loaded yet
+  this.running = false;
+  this.transfers = {};
+}
+
+Task.TASK_TYPE_LOAD = 'load';
+Task.TASK_TYPE_REMOVE = 'remove';
+Task.TASK_TYPE_UPDATE = 'update';
+  
+Task.prototype.doIt = function(callback) {
+  if (this.type == Task.TASK_TYPE_LOAD) {
+    _downloadBundle(this, callback);
+  } else if (this.type == Task.TASK_TYPE_REMOVE) {
+    _removeBundleFiles(this, callback);
+  } else if (this.type == Task.TASK_TYPE_UPDATE) {
+    _updateBundle(this, callback);
+  }
+}
+  
+/**
+ * @param {boolean} leave promises waiting on this task alone, because another task
+ *        is taking over from this one
+ */
+Task.prototype.abort = function(keepWaiters) {
+  this.canceled = true;
+  for (var index in this.transfers) {
+    this.transfers[index].abort();
+  }
+  _dropDownloadSlotRequests(this.manager, this);
+  _purgeEvents(this.manager, this.bundleName);
+  if (!keepWaiters) _settleWaiters(this.manager, this.bundleName, this.type, new DAMError(DAMError.CANCELED, "canceled"));
+}
+   
+/**
+ * @private
+ * Download a bundle of files
+ * @param {object} the task object
+ * @param {function} callback after complete
+ */
+function _downloadBundle(task, callback) {
+  var manager = task.manager,
+      bundle = manager.bundles[task.bundleName];
+
+  _sendEvent(manager, {event:DAM.BUNDLE_EVENT_LOADING, name:bundle.name});
+  
+  var needed = {};
+  for (var i=0; i < bundle.files.length; i++) {
+    if (!manager.localURLs.hasOwnProperty(bundle.files[i])) needed[i] = true;
+  }
+  
+  _makeRoom(task, bundle, needed, function() {
+    _downloadFiles(task, bundle, {}, function(error, retry) {
+      if (typeof(error) != 'undefined') {
+        return _taskError(task, error, retry, callback);
+      }
+      bundle.loaded = true;
+      bundle.loadedAt = new Date().getTime();
+      _saveBundles(manager, bundle.name);
+      _sendEvent(manager, {event:DAM.BUNDLE_EVENT_LOADED, name:bundle.name});
+      _settleWaiters(manager, bundle.name, Task.TASK_TYPE_LOAD);
+      callback();
+    });
+  });
+}
+
+/**
+ * @private
+ * Download the files of a bundle, or of a new version of a bundle.  Up to maxConcurrentDownloads
+ * files are downloaded at once.  Files that already exist (and match their hash) are skipped.
+ * Each file is downloaded into the partial area, and only moved into place once it is complete
+ * and matches its hash, so a download cut short by the app being killed never passes for a file.
+ * @param {object} the task object
+ * @param {object} bundle record with files, and optional fileSizes and fileHashes
+ * @param {object} index -> true for files to put in the update directory, instead of the DAM's directory
+ * @param {function} callback(error, retry) when done.  error is undefined on success.
+ */
+function _downloadFiles(task, bundle, staged, callback) {
+  var manager = task.manager,
+      totalSize = 0, totalDoneSize = 0,
+      inProgressSize = {},  // index -> progress of files being downloaded
+      fileBytes = {},  // index -> {loaded, total} bytes of files that have been downloading
+      doneFiles = {},  // index -> true for files that are complete
+      rate = null, rateSampleTime = new Date().getTime(), rateSampleBytes = 0, transferredBytes = 0,
+      integrityFailures = {},  // index -> number of downloads that did not match the hash
+      nextIndex = 0,
+      workers = Math.max(1, Math.min(manager.maxConcurrentDownloads, bundle.files.length)),
+      failure = null;
+
+  // If the bundle has fileSizes defined, use those numbers, otherwise
+  // each file is considered equally toward progress
+  if (bundle.fileSizes) {
+    for (var i=0; i<bundle.fileSizes.length; i++) totalSize += bundle.fileSizes[i];
+  } else {
+    totalSize = bundle.files.length;
+  }
+
+  // Each "worker" takes the next file that nobody has started on, until there are none left
+  for (var w=0, count=workers; w < count; w++) {
+    next();
+  }
+  
+  function next() {
+    if (task.canceled || failure || nextIndex == bundle.files.length) {
+      if (--workers == 0) finish();
+      return;
+    }
+    downloadFile(nextIndex++);
+  }
+  
+  function finish() {
+    if (task.canceled) {
+      return callback(new DAMError(DAMError.CANCELED, "canceled"), false);
+    }
+    if (failure) {
+      return callback(failure.error, failure.retry);
+    }
+    callback();
+  }
+  
+  function fileSize(index) {
+    return bundle.fileSizes ? bundle.fileSizes[index] : 1;
+  }
+  
+  function fileHash(index) {
+    return bundle.fileHashes ? bundle.fileHashes[index] : null;
+  }
+  
+  function sendProgress() {
+    var doneSize = totalDoneSize;
+    for (var index in inProgressSize) doneSize += inProgressSize[index];
+    
+    // Bytes are only known for files with fileSizes, or that the server told the size of
+    var bytesLoaded = 0, bytesTotal = 0;
+    for (var i=0; i < bundle.files.length; i++) {
+      var total = (fileBytes[i] && fileBytes[i].total) || (bundle.fileSizes ? bundle.fileSizes[i] : null);
+      if (bytesTotal != null) bytesTotal = (total == null) ? null : bytesTotal + total;
+      if (doneFiles[i]) {
+        bytesLoaded += total || 0;
+      } else if (fileBytes[i]) {
+        bytesLoaded += fileBytes[i].loaded;
+      }
+    }
+    var eta = (rate && bytesTotal != null) ? Math.ceil(Math.max(0, bytesTotal - bytesLoaded) / rate) : null;
+    
+    _sendEvent(manager, {event:DAM.BUNDLE_EVENT_PROGRESS, name:task.bundleName, done: doneSize / totalSize,
+                         bytesLoaded:bytesLoaded, bytesTotal:bytesTotal, rate:rate == null ? null : Math.round(rate), eta:eta});
+  }
+  
+  /**
+   * Keep a smoothed rate of bytes per second, measured over at least RATE_SAMPLE_INTERVAL
+   */
+  function measureRate() {
+    var now = new Date().getTime(), elapsed = now - rateSampleTime;
+    if (elapsed < RATE_SAMPLE_INTERVAL) return;
+    var sample = (transferredBytes - rateSampleBytes) * 1000 / elapsed;
+    rate = (rate == null) ? sample : RATE_SMOOTHING * sample + (1 - RATE_SMOOTHING) * rate;
+    rateSampleTime = now;
+    rateSampleBytes = transferredBytes;
+  }
+  
+  function sendFileEvent(event, index, extra) {
+    if (task.canceled) return;
+    var e = {event:event, name:task.bundleName, file:bundle.files[index]};
+    for (var key in extra) e[key] = extra[key];
+    _sendEvent(manager, e);
+  }
+  
+  function fileDone(index) {
+    doneFiles[index] = true;
+    delete inProgressSize[index];
+    totalDoneSize += fileSize(index);
+    if (!task.canceled) sendProgress();
+    next();
+  }
+  
+  function downloadFile(index) {
+    var remoteFile = bundle.files[index];
+    var localName = _localFileName(remoteFile);
+    var area = staged[index] ? UPDATE_AREA : FILES_AREA;
+    manager.storage.exists(area, localName, function(exists) {
+      if (!exists) return download();
+      _verifyFile(manager, area, localName, fileHash(index), function(ok) {
+        if (ok) {
+          fileDone(index);
+        } else {
+          manager.storage.remove(area, localName, download);
+        }
+      });
+    });
+    
+    function download() {
+      _acquireDownloadSlot(manager, task, function(gotSlot) {
+        if (!gotSlot) return next();
+        if (task.canceled || failure) {
+          _releaseDownloadSlot(manager);
+          return next();
+        }
+        _lockPartial(manager, localName, start);
+      });
+      
+      function start() {
+        if (task.canceled || failure) {
+          _unlockPartial(manager, localName);
+          _releaseDownloadSlot(manager);
+          return next();
+        }
+        
+        // Keep partial downloads so that retries can pick up where they left off
+        var resumeState = manager.partials[localName];
+        var options = {
+          resumeState: resumeState,
+          onresumestate: function(state) {
+            _setPartial(manager, localName, state);
+          },
+          onprogress: function(e) {
+            if (task.canceled) return;
+            // A resumed download counts what was downloaded before, which is not part of the rate
+            var previous = fileBytes[index] ? fileBytes[index].loaded : ((resumeState && resumeState.offset) || 0);
+            transferredBytes += Math.max(0, e.loaded - previous);
+            fileBytes[index] = {loaded:e.loaded, total:e.lengthComputable ? e.total : null};
+            measureRate();
+            sendFileEvent(DAM.FILE_EVENT_PROGRESS, index, {bytesLoaded:e.loaded, bytesTotal:fileBytes[index].total});
+            if (e.lengthComputable) inProgressSize[index] = (e.loaded / e.total) * fileSize(index);
+            sendProgress();
+          }
+        };
+        
+        sendFileEvent(DAM.FILE_EVENT_STARTED, index);
+        task.transfers[index] = manager.storage.download(remoteFile, PARTIAL_AREA, localName, options, _downloadSuccess, _downloadFail);
+        
+        function _downloadSuccess() {
+          delete task.transfers[index];
+          _releaseDownloadSlot(manager);
+          _verifyFile(manager, PARTIAL_AREA, localName, fileHash(index), function(ok, size) {
+            if (!ok) {
+              return _removePartial(manager, localName, function() {
+                _unlockPartial(manager, localName);
+                _integrityFailure();
+              });
+            }
+            manager.storage.move(PARTIAL_AREA, localName, area, function(error) {
+              if (error) {
+                _removePartial(manager, localName, function() {
+                  _unlockPartial(manager, localName);
+                  fileFail(index, error, true);
+                });
+                return;
+              }
+              _unlockPartial(manager, localName);
+              if (area == FILES_AREA && size != null) _setVerified(manager, localName, _parseHash(fileHash(index)).hex, size);
+              var done = function() {
+                sendFileEvent(DAM.FILE_EVENT_COMPLETED, index);
+                fileDone(index);
+              };
+              if (staged[index]) return done();
+              _addLocalURL(manager, remoteFile, localName, done);
+            });
+          });
+        }
+        
+        function _integrityFailure() {
+          delete inProgressSize[index];
+          delete fileBytes[index];
+          integrityFailures[index] = (integrityFailures[index] || 0) + 1;
+          if (integrityFailures[index] <= MAX_INTEGRITY_RETRIES && !task.canceled && !failure) {
+            download();
+          } else {
+            fileFail(index, new DAMError(DAMError.INTEGRITY, remoteFile + " does not match hash " + fileHash(index),
+                                         {url:remoteFile}), false);
+          }
+        }
+
+        function _downloadFail(err) {
+          delete task.transfers[index];
+          delete inProgressSize[index];
+          delete fileBytes[index];
+          _unlockPartial(manager, localName);
+          _releaseDownloadSlot(manager);
+          if (err.code == FileTransferWrapper.ABORT_ERR) {
+            // Canceled, or stopped because another file in the bundle failed
+            next();
+          } else {
+            // TODO There appears to be an intermitent bug in phonegap's download: if network connectivity is lost
+            // the fail callback can be called with an http_status of 200, which indicates success.
+            var retry = !err.http_status || err.http_status == 200;
+            fileFail(index, _transferError(err, remoteFile), retry);
+          }
+        }
+      }
+    }
+  }
+  
+  function fileFail(index, error, retry) {
+    sendFileEvent(DAM.FILE_EVENT_FAILED, index, {error:error});
+    fail(error, retry);
+  }
+  
+  function fail(error, retry) {
+    // Only the first failure counts.  Stop the other downloads, the whole bundle
+    // will be tried again (or given up on) once they have all stopped.
+    if (failure == null) {
+      failure = {error:error, retry:retry};
+      for (var index in task.transfers) {
+        task.transfers[index].abort();
+      }
+    }
+    next();
+  }
+}
+
+/**
+ * @private
+ * Mark a task as failed, and tell the client if it's not going to be retried
+ * @param {object} the task object
+ * @param {object} DAMError saying what happened
+ * @param {boolean} whether the task should be retried later
+ * @param {function} the task's callback
+ */
+function _taskError(task, error, retry, callback) {
+  if (typeof(retry) == 'undefined') retry = false;
+  console.log(error);
+  task.failed = true;
+  task.error = error;
+  task.retry = retry;
+  _saveJournal(task.manager);
+  if (task.retry == false && task.canceled == false) {
+    _sendEvent(task.manager, {event:DAM.BUNDLE_EVENT_ERROR, name:task.bundleName, error:error});
+    _settleWaiters(task.manager, task.bundleName, task.type, error);
+    if (task.type == Task.TASK_TYPE_LOAD) _failDependents(task.manager, task.bundleName, error);
+  }
+  callback();
+}
+
+/**
+ * @private
+ * Make a DAMError for a failed download
+ * @param {object} FileTransferError from the FileTransferWrapper
+ * @param {string} remote URL of the file
+ * @return {object} DAMError
+ */
+function _transferError(err, url) {
+  var code, status = (err.http_status && err.http_status != 200) ? err.http_status : null;
+  if (err.timeout) {
+    code = DAMError.TIMEOUT;
+  } else if (err.file_error) {
+    return _fileSystemError("FileTransferError: " + JSON.stringify(err), err.file_error, url);
+  } else if (status == 404 || status == 410) {
+    code = DAMError.NOT_FOUND;
+  } else if (status) {
+    code = DAMError.HTTP_STATUS;
+  } else if (err.code == FileTransferWrapper.FILE_NOT_FOUND_ERR || err.code == FileTransferWrapper.INVALID_URL_ERR) {
+    code = DAMError.NOT_FOUND;
+  } else {
+    code = DAMError.NETWORK;
+  }
+  return new DAMError(code, "FileTransferError: " + JSON.stringify(err), {url:url, httpStatus:status, cause:err});
+}
+
+/**
+ * @private
+ * Make a DAMError for a FileError, which is a QUOTA error if storage is full
+ * @param {string} what was being done
+ * @param {object} FileError (or DOMError)
+ * @param {string} optional remote URL of the file
+ * @return {object} DAMError
+ */
+function _fileSystemError(message, err, url) {
+  // FileError.QUOTA_EXCEEDED_ERR, or DOMException.QUOTA_EXCEEDED_ERR from localStorage
+  var quota = err && (err.code == 10 || err.code == 22 || err.name == 'QuotaExceededError');
+  return new DAMError(quota ? DAMError.QUOTA : DAMError.FILE_SYSTEM, message + " FileError code: " + (err && err.code),
+                      {url:url, cause:err});
+}
+    
+/**
+ * @private
+ * Download the new version of a bundle, then swap it in for the current version
+ * @param {object} the task object
+ * @param {function} callback after complete
+ */
+function _updateBundle(task, callback) {
+  var manager = task.manager,
+      bundle = manager.bundles[task.bundleName],
+      update = bundle.update,
+      changed = _changedFiles(bundle, update);
+  
+  _sendEvent(manager, {event:DAM.BUNDLE_EVENT_UPDATING, name:bundle.name, version:update.version});
+  
+  var needed = {};
+  for (var i=0; i < update.files.length; i++) {
+    if (changed[i] || !manager.localURLs.hasOwnProperty(update.files[i])) needed[i] = true;
+  }
+  
+  _makeRoom(task, update, needed, function() {
+    _downloadFiles(task, update, changed, function(error, retry) {
+      if (task.canceled) {
+        // Either the bundle was removed, and the remove task will clean up, or this
+        // update was replaced by a newer one, and its files may not be needed now
+        if (manager.bundles.hasOwnProperty(bundle.name)) {
+          return _removeUnreferencedFiles(manager, null, update.files, function() {
+            _taskError(task, error, retry, callback);
+          });
+        }
+        return _taskError(task, error, retry, callback);
+      }
+      
+      if (typeof(error) != 'undefined') {
+        if (retry) return _taskError(task, error, retry, callback);
+        // Giving up on this version.  Keep the current one.
+        delete bundle.update;
+        _saveBundles(manager, bundle.name);
+        return _removeUnreferencedFiles(manager, null, update.files, function() {
+          _taskError(task, error, retry, callback);
+        });
+      }
+      
+      _swapUpdate(task, bundle, changed, function(moved) {
+        if (moved) {
+          updated();
+        } else {
+          // The new version isn't all there until its load task has downloaded the files
+          // that could not be moved.  That task sends the error event if it fails.
+          _waitForTask(manager, bundle.name, Task.TASK_TYPE_LOAD).then(updated, function(error) {
+            _settleWaiters(manager, bundle.name, Task.TASK_TYPE_UPDATE, error);
+          });
+        }
+        callback();
+      });
+    });
+  });
+  
+  function updated() {
+    _sendEvent(manager, {event:DAM.BUNDLE_EVENT_UPDATED, name:bundle.name, version:update.version});
+    _settleWaiters(manager, bundle.name, Task.TASK_TYPE_UPDATE);
+  }
+}
+
+/**
+ * @private
+ * Before downloading, delete files no bundle uses, then evict the least recently used
+ * bundles until the files to be downloaded fit within the storage budget.  If they don't
+ * fit even then, download anyway.
+ * @param {object} the task object
+ * @param {object} bundle record (or new version) being downloaded
+ * @param {object} index -> true for files that will be downloaded.  Their fileSizes, if
+ *        any, tell how much room is needed.
+ * @param {function} callback when done
+ */
+function _makeRoom(task, bundle, needed, callback) {
+  var manager = task.manager;
+  if (!manager.storageBudget) return callback();
+  
+  var bytes = 0, collected = false;
+  for (var index in needed) {
+    if (bundle.fileSizes) bytes += bundle.fileSizes[index];
+  }
+  
+  (function check() {
+    manager.getStorageUsage(function(usage) {
+      if (task.canceled || usage.total + bytes <= manager.storageBudget) return callback();
+      if (usage.unused > 0 && !collected) {
+        // Garbage goes before anything the app may still want
+        collected = true;
+        return _collectGarbage(manager, false, function() { check(); });
+      }
+      var victim = _leastRecentlyUsed(manager, task.bundleName);
+      if (victim == null) {
+        var error = new DAMError(DAMError.QUOTA, "Storage budget exceeded, and no bundle can be evicted to make room for " + task.bundleName);
+        _sendEvent(manager, {event:DAM.BUNDLE_EVENT_OVER_BUDGET, name:task.bundleName, error:error,
+                             bytesNeeded:bytes, bytesUsed:usage.total});
+        return callback();
+      }
+      _evictBundle(manager, victim, check);
+    });
+  })();
+}
+
+/**
+ * @private
+ * Find the bundle to evict next: the least recently used one that is loaded, not pinned,
+ * and not busy with a task
+ * @param {object} DAM object
+ * @param {string} bundle that room is being made for
+ * @return {string} bundle name, or null if there is none
+ */
+function _leastRecentlyUsed(manager, exceptBundleName) {
+  var victim = null, victimAccess;
+  _saveAccess(manager);
+  for (var bundleName in manager.bundles) {
+    var bundle = manager.bundles[bundleName];
+    if (bundleName == exceptBundleName || !bundle.loaded) continue;
+    if (bundle.pinned || bundle.evictable === false) continue;
+    if (_dependents(manager, bundleName).length > 0) continue;
+    if (   _findTask(manager, bundleName, Task.TASK_TYPE_LOAD)
+        || _findTask(manager, bundleName, Task.TASK_TYPE_UPDATE)) continue;
+    
+    var access = manager.lastAccess[bundleName] || 0;
+    if (victim == null || access < victimAccess) {
+      victim = bundleName;
+      victimAccess = access;
+    }
+  }
+  return victim;
+}
+
+/**
+ * @private
+ * Remove a bundle to make room, and delete its files that no other bundle uses
+ * @param {object} DAM object
+ * @param {string} the name of the bundle
+ * @param {function} callback when its files are deleted
+ */
+function _evictBundle(manager, bundleName, callback) {
+  var bundle = manager.bundles[bundleName];
+  delete manager.bundles[bundleName];
+  _saveBundles(manager, bundleName);
+  _forgetAccess(manager, bundleName);
+  _forgetPaused(manager, bundleName);
+  _forgetManifest(manager, bundleName);
+  
+  var files = bundle.files.concat(bundle.update ? bundle.update.files : []);
+  _removeUnreferencedFiles(manager, null, files, function() {
+    _sendEvent(manager, {event:DAM.BUNDLE_EVENT_EVICTED, name:bundleName});
+    callback();
+  });
+}
+
+/**
+ * @private
+ * Remove bundles that have expired.  The app is sent DAM.BUNDLE_EVENT_EXPIRED first, and the
+ * bundle is removed once listeners have had it, so that they can stop using its files.
+ * @param {object} DAM object
+ */
+function _removeExpired(manager) {
+  for (var bundleName in manager.bundles) {
+    if (!_expired(manager.bundles[bundleName])) continue;
+    if (_dependents(manager, bundleName).length > 0) continue;  // kept while it's needed
+    if (manager.expiring[bundleName]) continue;
+    manager.expiring[bundleName] = true;
+    (function(bundleName) {
+      _sendEvent(manager, {event:DAM.BUNDLE_EVENT_EXPIRED, name:bundleName}, function() {
+        // May have been removed or replaced since
+        delete manager.expiring[bundleName];
+        if (manager.bundles[bundleName] && _expired(manager.bundles[bundleName])) {
+          manager.removeBundle(bundleName);
+        }
+      });
+    })(bundleName);
+  }
+}
+
+/**
+ * @private
+ * Has a bundle expired?  expiresAt is a time, ttl is milliseconds after the bundle loaded.
+ * @param {object} bundle record
+ * @return {boolean}
+ */
+function _expired(bundle) {
+  var now = new Date().getTime();
+  if (typeof(bundle.expiresAt) != 'undefined' && bundle.expiresAt <= now) return true;
+  if (typeof(bundle.ttl) != 'undefined' && bundle.loadedAt && bundle.loadedAt + bundle.ttl <= now) return true;
+  return false;
+}
+
+/**
+ * @private
+ * Is downloading a bundle paused?
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ * @return {boolean}
+ */
+function _isPaused(manager, bundleName) {
+  return manager.paused.all || manager.paused.bundles.hasOwnProperty(bundleName);
+}
+
+/**
+ * @private
+ * Does a bundle have something to download?
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ * @return {boolean}
+ */
+function _hasDownloadTask(manager, bundleName) {
+  return _findTask(manager, bundleName, Task.TASK_TYPE_LOAD) != null
+      || _findTask(manager, bundleName, Task.TASK_TYPE_UPDATE) != null;
+}
+
+/**
+ * @private
+ * Stop the downloads of a bundle that has just been paused
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ */
+function _pauseTasks(manager, bundleName) {
+  var types = [Task.TASK_TYPE_LOAD, Task.TASK_TYPE_UPDATE];
+  for (var i=0; i < types.length; i++) {
+    var task = _findTask(manager, bundleName, types[i]);
+    if (task && task.running) _requeueTask(manager, task);
+  }
+  _sendEvent(manager, {event:DAM.BUNDLE_EVENT_PAUSED, name:bundleName});
+}
+
+/**
+ * @private
+ * Let the downloads of a bundle that has just been resumed start again
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ */
+function _resumeTasks(manager, bundleName) {
+  _sendEvent(manager, {event:DAM.BUNDLE_EVENT_RESUMED, name:bundleName});
+  _doTasks(manager);
+}
+
+/**
+ * @private
+ * Forget that a bundle that has been removed was paused
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ */
+function _forgetPaused(manager, bundleName) {
+  if (!manager.paused.bundles.hasOwnProperty(bundleName)) return;
+  delete manager.paused.bundles[bundleName];
+  _saveItem(manager, manager.pausedKey, manager.paused);
+}
+
+/**
+ * @private
+ * Stop tracking use of a bundle that has been removed
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ */
+function _forgetAccess(manager, bundleName) {
+  delete manager.lastAccess[bundleName];
+  _saveItem(manager, manager.accessKey, manager.lastAccess);
+}
+
+/**
+ * @private
+ * Save the use localURL() recorded once ACCESS_RESOLUTION has passed, if it's not saved before
+ * @param {object} DAM object
+ */
+function _saveAccessSoon(manager) {
+  if (manager.accessTimer != null) return;
+  manager.accessTimer = setTimeout(function() {
+    manager.accessTimer = null;
+    _saveAccess(manager);
+  }, ACCESS_RESOLUTION);
+}
+
+/**
+ * @private
+ * Record that the bundles with files localURL() was asked for are in use, and save it
+ * @param {object} DAM object
+ */
+function _saveAccess(manager) {
+  var changed = false;
+  clearTimeout(manager.accessTimer);
+  manager.accessTimer = null;
+  for (var bundleName in manager.bundles) {
+    var files = manager.bundles[bundleName].files;
+    for (var i=0; i < files.length; i++) {
+      var time = manager.fileAccess[files[i]];
+      if (time > (manager.lastAccess[bundleName] || 0)) {
+        manager.lastAccess[bundleName] = time;
+        changed = true;
+      }
+    }
+  }
+  manager.fileAccess = {};
+  if (changed) _saveItem(manager, manager.accessKey, manager.lastAccess);
+}
+
+/**
+ * @private
+ * Find the files of a new version whose contents changed, but URL did not.  These can't
+ * be downloaded over the current version's files, so they are downloaded to the update
+ * directory.  A file is only known to have changed if its hash changed.
+ * @param {object} the current bundle record
+ * @param {object} the new version
+ * @return {object} index (in new version) -> true for changed files
+ */
+function _changedFiles(bundle, update) {
+  var changed = {};
+  for (var i=0; i < update.files.length; i++) {
+    var newHash = update.fileHashes ? update.fileHashes[i] : null;
+    if (newHash == null) continue;
+    for (var j=0; j < bundle.files.length; j++) {
+      if (bundle.files[j] == update.files[i]) {
+        var oldHash = bundle.fileHashes ? bundle.fileHashes[j] : null;
+        if (newHash != oldHash) changed[i] = true;
+        break;
+      }
+    }
+  }
+  return changed;
+}
+
+/**
+ * @private
+ * Replace a bundle's record with its completely downloaded new version, move changed
+ * files into place, and delete files the old version used that nothing uses now.
+ * @param {object} the task object
+ * @param {object} the current bundle record, with its update
+ * @param {object} index -> true for changed files, waiting in the update directory
+ * @param {function} callback(moved) when done.  If not all files could be moved, the new
+ *        version is not loaded, and a task to load it has been queued.
+ */
+function _swapUpdate(task, bundle, changed, callback) {
+  var manager = task.manager,
+      moved = true,
+      indexes = [];
+  
+  for (var index in changed) indexes.push(index);
+  
+  // The current version stays loaded while files are moved, and the new record replaces
+  // it in one save at the end.  If we're interrupted in between, init() finds the moved
+  // files match the update, so loads the new version keeping the files already in place.
+  loop(0);
+  
+  function loop(i) {
+    if (i == indexes.length) {
+      var record = _copyBundle(bundle.update);
+      record.loaded = moved;
+      if (moved) record.loadedAt = new Date().getTime();
+      manager.bundles[bundle.name] = record;
+      _saveBundles(manager, bundle.name, function(saved) {
+        // Until it is saved, init() may still find the old version, so keep its files
+        if (!saved) return callback(moved);
+        _removeUnreferencedFiles(manager, null, bundle.files, function() { callback(moved); });
+      });
+      if (!moved) _maybeAddTask(manager, record.name, Task.TASK_TYPE_LOAD);
+      return;
+    }
+    
+    var remoteFile = bundle.update.files[indexes[i]], localName = _localFileName(remoteFile);
+    // What matched the old hash won't match after the move
+    _setVerified(manager, localName, null);
+    manager.storage.move(UPDATE_AREA, localName, FILES_AREA, function(error) {
+      if (error) {
+        moved = false;
+        return loop(i + 1);
+      }
+      _addLocalURL(manager, remoteFile, localName, function() { loop(i + 1); });
+    });
+  }
+}
+
+/**
+ * @private
+ * Remove a bundle's files, and those of its pending update, unless another bundle uses them
+ * @param {object} the task object
+ * @param {function} callback
+ */
+function _removeBundleFiles(task, callback) {
+  var manager = task.manager,
+      bundle = task.extra,
+      files = bundle.files.concat(bundle.update ? bundle.update.files : []);
+  
+  _removeUnreferencedFiles(manager, task, files, function() {
+    if (task.canceled) return callback();
+    _settleWaiters(manager, bundle.name, Task.TASK_TYPE_REMOVE);
+    if (!manager.autoCollectGarbage) return callback();
+    _collectGarbage(manager, false, function() { callback(); });
+  });
+}
+
+/**
+ * @private
+ * Delete files that no bundle, or pending bundle update, uses.  Also deletes their partial
+ * downloads, and their copies in the update directory if no pending update uses them.
+ * @param {object} DAM object
+ * @param {object} task to stop for if it's canceled, or null
+ * @param {array} remote URLs of the files
+ * @param {function} callback
+ */
+function _removeUnreferencedFiles(manager, task, remoteFiles, callback) {
+  (function loop(index) {
+    if ((task && task.canceled) || index == remoteFiles.length) {
+      callback();
+      return;
+    }
+
+    var fileName = remoteFiles[index];
+    var localFileName = _localFileName(fileName);
+    
+    if (_fileReferenced(manager, fileName, false)) {
+      removeStaged();
+      return;
+    }
+    
+    // Delete the file
+    _removeLocalURL(manager, fileName);
+    _setVerified(manager, localFileName, null);
+    manager.storage.remove(FILES_AREA, localFileName, removePartial);
+    
+    function removePartial() { _removePartial(manager, localFileName, removeStaged); }
+    
+    function removeStaged() {
+      if (_fileReferenced(manager, fileName, true)) {
+        next();
+        return;
+      }
+      manager.storage.remove(UPDATE_AREA, localFileName, next);
+    }
+    
+    function next() { loop(index + 1); }
+
+  })(0);    
+}
+
+/**
+ * @private
+ * Is a file used by any bundle?
+ * @param {object} DAM object
+ * @param {string} remote URL of the file
+ * @param {boolean} only look at pending updates
+ * @return {boolean}
+ */
+function _fileReferenced(manager, remoteFile, updatesOnly) {
+  for (var bundleName in manager.bundles) {
+    var bundle = manager.bundles[bundleName];
+    if (!updatesOnly && _contains(bundle.files, remoteFile)) return true;
+    if (bundle.update && _contains(bundle.update.files, remoteFile)) return true;
+  }
+  return false;
+}
+
+  function _contains(array, item) {
+    for (var i=0; i < array.length; i++) {
+      if (array[i] == item) return true;
+    }
+    return false;
+  }
+
+/**
+ * @private
+ * Record (or forget, if state is null) how far a resumable download got
+ * @param {object} DAM object
+ * @param {string} local file name
+ * @param {object} resume state from FileTransferWrapper, or null
+ */
+function _setPartial(manager, localName, state) {
+  if (state) {
+    manager.partials[localName] = state;
+  } else if (manager.partials.hasOwnProperty(localName)) {
+    delete manager.partials[localName];
+  } else {
+    return;
+  }
+  _saveItem(manager, manager.partialsKey, manager.partials);
+}
+
+/**
+ * @private
+ * Delete a partially downloaded file, and its resume state
+ * @param {object} DAM object
+ * @param {string} local file name
+ * @param {function} callback when done, whether or not there was anything to delete
+ */
+function _removePartial(manager, localName, callback) {
+  _setPartial(manager, localName, null);
+  manager.storage.remove(PARTIAL_AREA, localName, callback);
+}
+
+/**
+ * @private
+ * Delete partially downloaded files that no bundle needs any more, and ones that can't be
+ * resumed, e.g. left over from a download that was cut short by the app being killed.
+ * Only called by init(), when nothing is being downloaded.
+ * @param {object} DAM object
+ * @param {function} callback when done
+ */
+function _removeStalePartials(manager, callback) {
+  var referenced = _referencedFileNames(manager), stale = [];
+  for (var localName in manager.partials) {
+    if (!referenced.hasOwnProperty(localName)) stale.push(localName);
+  }
+  (function loop(index) {
+    if (index == stale.length) {
+      removeUnresumable();
+      return;
+    }
+    _removePartial(manager, stale[index], function() { loop(index + 1); });
+  })(0);
+  
+  function removeUnresumable() {
+    manager.storage.list(PARTIAL_AREA, function(names) {
+      (function loop(index) {
+        if (index == names.length) {
+          callback();
+          return;
+        }
+        if (manager.partials.hasOwnProperty(names[index])) {
+          loop(index + 1);
+          return;
+        }
+        manager.storage.remove(PARTIAL_AREA, names[index], function() { loop(index + 1); });
+      })(0);
+    });
+  }
+}
+
+  function _isCordova() {
+    return (typeof(cordova) !== 'undefined' || typeof(phonegap) !== 'undefined');
+  }
+
+/**
+ * @private
+ * Delete files in the update directory that no pending update needs, e.g. left over
+ * from an update that was interrupted while it was being swapped in
+ * @param {object} DAM object
+ * @param {function} callback when done
+ */
+function _removeStaleUpdates(manager, callback) {
+  var needed = {};
+  for (var bundleName in manager.bundles) {
+    var update = manager.bundles[bundleName].update;
+    if (!update) continue;
+    for (var i=0; i < update.files.length; i++) needed[_localFileName(update.files[i])] = true;
+  }
+  
+  manager.storage.list(UPDATE_AREA, function(names) {
+    (function loop(index) {
+      if (index == names.length) {
+        callback();
+        return;
+      }
+      if (needed.hasOwnProperty(names[index])) {
+        loop(index + 1);
+        return;
+      }
+      manager.storage.remove(UPDATE_AREA, names[index], function() { loop(index + 1); });
+    })(0);
+  });
+}
+
+/**
+ * @private
+ * Total size of the files in a storage area
+ * @param {object} storage adapter
+ * @param {string} area
+ * @param {function} callback(size)
+ */
+function _areaSize(storage, area, callback) {
+  var total = 0;
+  storage.list(area, function(names) {
+    (function loop(index) {
+      if (index == names.length) {
+        callback(total);
+        return;
+      }
+      storage.size(area, names[index], function(size) {
+        total += size || 0;
+        loop(index + 1);
+      });
+    })(0);
+  });
+}
+
+/**
+ * @private
+ * Fetch a manifest or catalog, and add or update the bundles it describes.  The URL is
+ * remembered in manager.manifests, so it can be checked again later.
+ * @param {object} DAM object
+ * @param {string} URL of the manifest or catalog
+ * @param {string} 'bundle' or 'catalog'
+ * @param {function} callback(error, promises).  If error is undefined, there is a promise
+ *        for each bundle, that is resolved when it is loaded (or updated).
+ */
+function _checkManifest(manager, url, type, callback) {
+  var record = manager.manifests[url] || {type:type, bundleNames:[], manifestURLs:[]};
+  
+  _fetchJSON(url, record, function(error, data, validators) {
+    if (error) return callback(error);
+    if (typeof(data) == 'undefined') {
+      // Not modified, so the bundles are as they were
+      var unchanged = [];
+      for (var j=0; j < record.bundleNames.length; j++) {
+        if (manager.bundles[record.bundleNames[j]]) unchanged.push(_bundlePromise(manager, record.bundleNames[j]));
+      }
+      return callback(undefined, unchanged);
+    }
+    
+    var promises = [], bundles = [], manifestURLs = [], i;
+    if (type == 'bundle') {
+      bundles.push(data);
+    } else {
+      var entries = _isArray(data) ? data : data.bundles;
+      if (!_isArray(entries)) return callback(new DAMError(DAMError.MALFORMED_BUNDLE, "Malformed bundle catalog " + url, {url:url}));
+      for (i=0; i < entries.length; i++) {
+        if (typeof(entries[i]) == 'string') {
+          manifestURLs.push(_resolveURL(url, entries[i]));
+        } else {
+          bundles.push(entries[i]);
+        }
+      }
+    }
+    
+    for (i=0; i < bundles.length; i++) {
+      var bundle = _bundleFromManifest(bundles[i], url);
+      if (bundle == null) return callback(new DAMError(DAMError.MALFORMED_BUNDLE, "Malformed bundle manifest " + url, {url:url}));
+      bundles[i] = bundle;
+    }
+    
+    record.etag = validators.etag;
+    record.lastModified = validators.lastModified;
+    manager.manifests[url] = record;
+    
+    // Bundles may depend on ones further down the catalog, or in the manifests it lists
+    _holdTasks(manager);
+    for (i=0; i < bundles.length; i++) {
+      var name = bundles[i].name, current = manager.bundles[name];
+      if (type == 'catalog' && !current && _contains(record.bundleNames, name)) {
+        continue;  // removed by the client since
+      }
+      if (!_contains(record.bundleNames, name)) record.bundleNames.push(name);
+      if (current && (current.update ? _sameBundle(current.update, bundles[i]) : _sameBundle(current, bundles[i]))) {
+        promises.push(_bundlePromise(manager, name));
+      } else {
+        try {
+          promises.push(manager.updateBundle(bundles[i]));
+        } catch (e) {
+          // e.g. its dependencies would form a cycle
+          promises.push(_rejectedPromise(new DAMError(e.code, e + " " + url, {url:url})));
+        }
+      }
+    }
+    _saveItem(manager, manager.manifestsKey, manager.manifests);
+    
+    // Manifests listed in a catalog are checked on their own from now on
+    (function loop(index) {
+      if (index == manifestURLs.length) {
+        _saveItem(manager, manager.manifestsKey, manager.manifests);
+        _releaseTasks(manager);
+        callback(undefined, promises);
+        return;
+      }
+      var manifestURL = manifestURLs[index];
+      if (_contains(record.manifestURLs, manifestURL)) {
+        loop(index + 1);
+        return;
+      }
+      record.manifestURLs.push(manifestURL);
+      _checkManifest(manager, manifestURL, 'bundle', function(error, manifestPromises) {
+        promises.push(error ? _rejectedPromise(error) : manifestPromises[0]);
+        loop(index + 1);
+      });
+    })(0);
+  });
+}
+
+/**
+ * @private
+ * Check all the remembered manifests and catalogs, one at a time
+ * @param {object} DAM object
+ * @param {function} optional callback when done
+ */
+function _checkManifests(manager, callback) {
+  var urls = [];
+  manager.manifestsCheckedAt = new Date().getTime();
+  for (var url in manager.manifests) urls.push(url);
+  
+  (function loop(index) {
+    if (index == urls.length) {
+      if (callback) callback();
+      return;
+    }
+    if (!manager.manifests.hasOwnProperty(urls[index])) {
+      loop(index + 1);
+      return;
+    }
+    _checkManifest(manager, urls[index], manager.manifests[urls[index]].type, function(error) {
+      if (error) _sendEvent(manager, {event:DAM.GLOBAL_EVENT_MANIFEST_ERROR, url:urls[index], error:error});
+      loop(index + 1);
+    });
+  })(0);
+}
+
+/**
+ * @private
+ * Stop checking the manifest of a bundle that has been removed
+ * @param {object} DAM object
+ * @param {string} name of the bundle
+ */
+function _forgetManifest(manager, bundleName) {
+  var changed = false;
+  for (var url in manager.manifests) {
+    var record = manager.manifests[url];
+    if (record.type == 'bundle' && record.bundleNames[0] == bundleName) {
+      delete manager.manifests[url];
+      changed = true;
+    }
+  }
+  if (changed) _saveItem(manager, manager.manifestsKey, manager.manifests);
+}
+
+/**
+ * @private
+ * Make a bundle record from a manifest
+ * @param {object} bundle from the manifest
+ * @param {string} URL of the manifest, that file URLs are relative to
+ * @return {object} the bundle, or null if it is malformed
+ */
+function _bundleFromManifest(data, manifestURL) {
+  if (_malformedBundle(data)) return null;
+  var bundle = _copyBundle(data);
+  for (var i=0; i < bundle.files.length; i++) {
+    bundle.files[i] = _resolveURL(manifestURL, bundle.files[i]);
+  }
+  return bundle;
+}
+
+/**
+ * @private
+ * Promise resolved when a bundle that is not being changed is loaded
+ */
+function _bundlePromise(manager, bundleName) {
+  var bundle = manager.bundles[bundleName];
+  if (bundle.update) return _waitForTask(manager, bundleName, Task.TASK_TYPE_UPDATE);
+  if (bundle.loaded) return _resolvedPromise(bundleName);
+  return _waitForTask(manager, bundleName, Task.TASK_TYPE_LOAD);
+}
+
+  function _sameBundle(a, b) {
+    return JSON.stringify(_copyBundle(a)) == JSON.stringify(_copyBundle(b));
+  }
+
+/**
+ * @private
+ * GET a JSON document, conditionally if we have validators from last time
+ * @param {string} URL
+ * @param {object} {etag, lastModified} from last time
+ * @param {function} callback(error, data, validators).  error is undefined on success, and
+ *        data is undefined if the document has not been modified.
+ */
+function _fetchJSON(url, validators, callback) {
+  var xhr = new XMLHttpRequest(),
+      finished = false,
+      timeout_id = null;
+  xhr.open('GET', url, true);
+  if (validators.etag) xhr.setRequestHeader('If-None-Match', validators.etag);
+  if (validators.lastModified) xhr.setRequestHeader('If-Modified-Since', validators.lastModified);
+  
+  if (FileTransferWrapper.ENFORCE_DOWNLOAD_TIMEOUT) {
+    timeout_id = setTimeout(function() {
+      done(new DAMError(DAMError.TIMEOUT, "Timed out getting " + url, {url:url}));
+      xhr.abort();
+    }, FileTransferWrapper.DOWNLOAD_TIMEOUT);
+  }
+  
+  xhr.onload = function() {
+    if (xhr.status == 304) {
+      return done(undefined, undefined, validators);
+    }
+    // file: URLs have a status of 0
+    if (xhr.status != 200 && !(xhr.status == 0 && xhr.responseText)) {
+      return done(new DAMError((xhr.status == 404 || xhr.status == 410) ? DAMError.NOT_FOUND : DAMError.HTTP_STATUS,
+                              "Could not get " + url + " HTTP status: " + xhr.status, {url:url, httpStatus:xhr.status}));
+    }
+    var data;
+    try {
+      data = JSON.parse(xhr.responseText);
+    } catch (e) {
+      return done(new DAMError(DAMError.MALFORMED_BUNDLE, "Could not parse " + url + ": " + e, {url:url, cause:e}));
+    }
+    done(undefined, data, {etag:xhr.getResponseHeader('ETag'), lastModified:xhr.getResponseHeader('Last-Modified')});
+  };
+  
+  xhr.onerror = function() {
+    done(new DAMError(DAMError.NETWORK, "Could not get " + url, {url:url}));
+  };
+  
+  xhr.send();
+  
+  // Only the first outcome counts, e.g. not a late response after the timeout
+  function done(error, data, validators) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeout_id);
+    callback(error, data, validators);
+  }
+}
+
+/**
+ * @private
+ * Resolve a URL relative to another, e.g. a file in a manifest relative to the manifest's URL
+ * @param {string} absolute base URL
+ * @param {string} URL that may be relative
+ * @return {string} absolute URL
+ */
+function _resolveURL(base, url) {
+  if (/^[a-zA-Z][a-zA-Z0-9+.\-]*:/.test(url)) return url;
+  
+  var match = /^([a-zA-Z][a-zA-Z0-9+.\-]*:)(\/\/[^\/?#]*)?([^?#]*)/.exec(base);
+  if (!match) return url;
+  var scheme = match[1], authority = match[2] || '', path = match[3];
+  
+  if (url.substr(0, 2) == '//') return scheme + url;
+  
+  var suffix = '';
+  var suffixStart = url.search(/[?#]/);
+  if (suffixStart >= 0) {
+    suffix = url.substr(suffixStart);
+    url = url.substr(0, suffixStart);
+  }
+  if (url == '') return scheme + authority + path + suffix;
+  
+  if (url.charAt(0) != '/') {
+    url = path.substr(0, path.lastIndexOf('/') + 1) + url;
+  }
+  
+  // Remove . and .. segments
+  var segments = url.split('/'), out = [];
+  for (var i=0; i < segments.length; i++) {
+    if (segments[i] == '.') {
+      if (i == segments.length - 1) out.push('');
+    } else if (segments[i] == '..') {
+      if (out.length > 1) out.pop();
+      if (i == segments.length - 1) out.push('');
+    } else {
+      out.push(segments[i]);
+    }
+  }
+  return scheme + authority + out.join('/') + suffix;
+}
+
+/**
+ * Storage adapters keep the DAM's files.  Files are kept in three areas: 'files' for the
+ * bundles' files, 'partial' for partly downloaded files and 'update' for files of new bundle
+ * versions that are not swapped in yet.  Names are local file names.  An adapter has these
+ * methods, all of which call back asynchronously:
+ *
+ *   init(baseDir, callback(error)) get ready to store files for a DAM.  error is a DAMError,
+ *        or undefined on success.
+ *   exists(area, name, callback(exists))
+ *   size(area, name, callback(bytes)) bytes is null if the file does not exist
+ *   read(area, name, callback(arrayBuffer)) arrayBuffer is null if the file can't be read
+ *   remove(area, name, callback()) whether or not the file exists
+ *   move(fromArea, name, toArea, callback(error)) replacing any file of the same name.
+ *        error is a DAMError, or undefined on success.
+ *   list(area, callback(names))
+ *   toURL(area, name, callback(url)) URL the app can load the file from, null if it doesn't exist
+ *   download(uri, area, name, options, success(), fail(err)) download a file into an area,
+ *        replacing any file of the same name.  options are resumeState, onresumestate(state)
+ *        and onprogress(event), like FileTransferWrapper's.  fail is called with an error like
+ *        FileTransferWrapper's, once nothing of the file is left but what can be resumed from the
+ *        last state given to onresumestate.  Returns a transfer with an
+ *        abort() method.  DAM always downloads into the partial area, and moves the file into
+ *        place itself once it has checked it.
+ */
+
+/**
+ * Keeps files with the File API: cordova's, or the HTML5 FileSystem API in Chrome.  The
+ * bundles' files are in the base directory, with the partial and update areas in the
+ * .partial and .update directories inside it.
+ * @constructor
+ */
+var FileSystemStorage = function() {
+  this.fileSystem = null;
+  this.directories = {};  // area -> DirectoryEntry
+};
+
+FileSystemStorage.prototype.init = function(baseDir, callback) {
+  var that = this;
+  
+  _requestFileSystem(function(fileSystem) {
+    that.fileSystem = fileSystem;
+    if (baseDir.length > 0) {
+      fileSystem.root.getDirectory(baseDir, {create: true, exclusive: false}, haveDirectoryEntry, function(err) {
+        callback(_fileSystemError("Could not create directory " + baseDir, err));
+      });
+    } else {
+      haveDirectoryEntry(fileSystem.root);
+    }
+  }, function (err) {
+    callback(_fileSystemError("Could not get file system.", err));
+  });
+  
+  function haveDirectoryEntry(entry) {
+    that.directories[FILES_AREA] = entry;
+    entry.getDirectory(STAGING_DIR, {create: true, exclusive: false}, function(stagingEntry) {
+      that.directories[PARTIAL_AREA] = stagingEntry;
+      entry.getDirectory(UPDATE_DIR, {create: true, exclusive: false}, function(updateEntry) {
+        that.directories[UPDATE_AREA] = updateEntry;
+        callback();
+      }, function(err) {
+        callback(_fileSystemError("Could not create directory " + UPDATE_DIR, err));
+      });
+    }, function(err) {
+      callback(_fileSystemError("Could not create directory " + STAGING_DIR, err));
+    });
+  }
+};
+
+FileSystemStorage.prototype.exists = function(area, name, callback) {
+  this.directories[area].getFile(name, {create: false, exclusive: false}, function() {
+    callback(true);
+  }, function() {
+    callback(false);
+  });
+};
+
+FileSystemStorage.prototype.size = function(area, name, callback) {
+  this.directories[area].getFile(name, {create: false, exclusive: false}, function(fileEntry) {
+    fileEntry.file(function(file) {
+      callback(file.size);
+    }, function() {
+      callback(null);
+    });
+  }, function() {
+    callback(null);
+  });
+};
+
+FileSystemStorage.prototype.read = function(area, name, callback) {
+  this.directories[area].getFile(name, {create: false, exclusive: false}, function(fileEntry) {
+    fileEntry.file(function(file) {
+      var reader = new FileReader();
+      reader.onerror = function() {
+        callback(null);
+      };
+      if (_isCordova()) {
+        // cordova 2.2's FileReader can only give binary data as a data URL
+        reader.onload = function() {
+          var dataURL = reader.result;
+          callback(_binaryStringToArrayBuffer(window.atob(dataURL.substr(dataURL.indexOf(',') + 1))));
+        };
+        reader.readAsDataURL(file);
+      } else {
+        reader.onload = function() {
+          callback(reader.result);
+        };
+        reader.readAsArrayBuffer(file);
+      }
+    }, function() {
+      callback(null);
+    });
+  }, function() {
+    callback(null);
+  });
+};
+
+FileSystemStorage.prototype.remove = function(area, name, callback) {
+  // Seems that deleting a file will ALWAYS generate an error, so just ignore it
+  // http://comments.gmane.org/gmane.comp.handhelds.phonegap/27080
+  this.directories[area].getFile(name, {create: false, exclusive: false}, function(fileEntry) {
+    fileEntry.remove(done, done);
+  }, done);
+  
+  function done() { callback(); }
+};
+
+FileSystemStorage.prototype.move = function(fromArea, name, toArea, callback) {
+  var that = this;
+  this.directories[fromArea].getFile(name, {create: false, exclusive: false}, function(fileEntry) {
+    fileEntry.moveTo(that.directories[toArea], name, function() {
+      callback();
+    }, function() {
+      // moveTo won't always replace an existing file, so only then delete the old version
+      that.remove(toArea, name, function() {
+        fileEntry.moveTo(that.directories[toArea], name, function() {
+          callback();
+        }, function(err) {
+          callback(_fileSystemError("Could not move " + name, err));
+        });
+      });
+    });
+  }, function(err) {
+    callback(_fileSystemError("Could not find " + name, err));
+  });
+};
+
+FileSystemStorage.prototype.list = function(area, callback) {
+  var names = [], seen = {}, reader = this.directories[area].createReader();
+  
+  // Browsers return a directory in batches, so readEntries() has to be called until it
+  // returns nothing new.  Cordova 2.2 returns all of it every time, so once is enough.
+  (function read() {
+    reader.readEntries(function(entries) {
+      var added = false;
+      for (var i=0; i < entries.length; i++) {
+        if (!entries[i].isFile || seen.hasOwnProperty(entries[i].name)) continue;
+        seen[entries[i].name] = true;
+        names.push(entries[i].name);
+        added = true;
+      }
+      if (!added || _isCordova()) {
+        callback(names);
+        return;
+      }
+      read();
+    }, function() {
+      callback(names);
+    });
+  })();
+};
+
+FileSystemStorage.prototype.toURL = function(area, name, callback) {
+  this.directories[area].getFile(name, {create: false, exclusive: false}, function(fileEntry) {
+    callback(fileEntry.toURL());
+  }, function() {
+    callback(null);
+  });
+};
+
+/**
+ * Downloads with a FileTransferWrapper.  Without cordova, downloads are resumable, with the
+ * partial area as the staging directory.
+ */
+FileSystemStorage.prototype.download = function(uri, area, name, options, success, fail) {
+  var that = this,
+      transfer = {ft:null, aborted:false},
+      resumable = !!options.resumeState;
+  
+  transfer.abort = function() {
+    if (transfer.ft) {
+      transfer.ft.abort();
+    } else {
+      transfer.aborted = true;  // stopped before it started
+    }
+  };
+  
+  this.directories[area].getFile(name, {create: true, exclusive: false}, function(fileEntry) {
+    if (transfer.aborted) {
+      return failed({code:FileTransferWrapper.ABORT_ERR, source:uri, target:fileEntry.fullPath, http_status:null});
+    }
+    var ft = transfer.ft = new FileTransferWrapper(that.fileSystem);
+    ft.stagingDirectory = that.directories[PARTIAL_AREA];
+    ft.resumeState = options.resumeState;
+    ft.onresumestate = function(state) {
+      resumable = !!state;
+      if (options.onresumestate) options.onresumestate(state);
+    };
+    ft.onprogress = options.onprogress;
+    ft.download(uri, fileEntry.fullPath, function() {
+      success();
+    }, failed);
+  }, function(err) {
+    fail({code:FileTransferWrapper.FILE_NOT_FOUND_ERR, source:uri, target:name, http_status:null, file_error:err});
+  });
+  
+  return transfer;
+  
+  function failed(err) {
+    if (resumable) return fail(err);
+    that.remove(area, name, function() { fail(err); });
+  }
+};
+
+/**
+ * @private
+ * Convert a string of bytes, e.g. from atob(), into an ArrayBuffer
+ * @param {string} one character per byte
+ * @return {object} ArrayBuffer
+ */
+function _binaryStringToArrayBuffer(s) {
+  var bytes = new Uint8Array(s.length);
+  for (var i=0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes.buffer;
+}
+
+/**
+ * @private
+ * Give a storage that keeps files as Blobs the adapter methods.  The storage has a baseDir,
+ * a urls object for the object URLs it has made, and these methods, which call back
+ * asynchronously:
+ *
+ *   _get(key, callback(blob)) blob is null if there is none
+ *   _put(key, blob, callback(err)) err is undefined on success
+ *   _remove(key, callback())
+ *   _keys(prefix, callback(keys)) keys that start with prefix
+ *
+ * @param {object} prototype of the storage
+ */
+function _blobStorage(prototype) {
+  prototype._key = function(area, name) {
+    return this.baseDir + '/' + area + '/' + name;
+  };
+  
+  prototype.exists = function(area, name, callback) {
+    this._get(this._key(area, name), function(blob) {
+      callback(blob != null);
+    });
+  };
+  
+  prototype.size = function(area, name, callback) {
+    this._get(this._key(area, name), function(blob) {
+      callback(blob ? blob.size : null);
+    });
+  };
+  
+  prototype.read = function(area, name, callback) {
+    this._get(this._key(area, name), function(blob) {
+      if (!blob) return callback(null);
+      if (blob.arrayBuffer) {
+        blob.arrayBuffer().then(callback, function() { callback(null); });
+        return;
+      }
+      var reader = new FileReader();
+      reader.onload = function() { callback(reader.result); };
+      reader.onerror = function() { callback(null); };
+      reader.readAsArrayBuffer(blob);
+    });
+  };
+  
+  prototype.remove = function(area, name, callback) {
+    var key = this._key(area, name);
+    this._revokeURL(key);
+    this._remove(key, function() { callback(); });
+  };
+  
+  prototype.move = function(fromArea, name, toArea, callback) {
+    var that = this, fromKey = this._key(fromArea, name), toKey = this._key(toArea, name);
+    this._get(fromKey, function(blob) {
+      if (!blob) return callback(new DAMError(DAMError.FILE_SYSTEM, "Could not find " + name));
+      that._revokeURL(toKey);
+      that._put(toKey, blob, function(err) {
+        if (err) return callback(_fileSystemError("Could not move " + name, err));
+        that.remove(fromArea, name, function() { callback(); });
+      });
+    });
+  };
+  
+  prototype.list = function(area, callback) {
+    var prefix = this._key(area, '');
+    this._keys(prefix, function(keys) {
+      var names = [];
+      for (var i=0; i < keys.length; i++) names.push(keys[i].substr(prefix.length));
+      callback(names);
+    });
+  };
+  
+  prototype.toURL = function(area, name, callback) {
+    var that = this, key = this._key(area, name);
+    if (this.urls.hasOwnProperty(key)) {
+      setTimeout(function() { callback(that.urls[key]); }, 0);
+      return;
+    }
+    this._get(key, function(blob) {
+      if (!blob) return callback(null);
+      if (!that.urls.hasOwnProperty(key)) that.urls[key] = URL.createObjectURL(blob);
+      callback(that.urls[key]);
+    });
+  };
+  
+  /**
+   * Downloads the whole file with XMLHttpRequest, and stores it when it is complete.
+   * Not resumable, so options.resumeState is ignored.
+   */
+  prototype.download = function(uri, area, name, options, success, fail) {
+    var that = this, key = this._key(area, name);
+    var request = _downloadBlob(uri, name, options.onprogress, function(blob) {
+      that._revokeURL(key);
+      that._put(key, blob, function(err) {
+        if (err) {
+          return fail({code:FileTransferWrapper.FILE_NOT_FOUND_ERR, source:uri, target:name, http_status:null, file_error:err});
+        }
+        success();
+      });
+    }, fail);
+    return {abort:function() { request.abort(); }};
+  };
+  
+  prototype._revokeURL = function(key) {
+    if (!this.urls.hasOwnProperty(key)) return;
+    URL.revokeObjectURL(this.urls[key]);
+    delete this.urls[key];
+  };
+}
+
+/**
+ * @private
+ * Download a file into a Blob with XMLHttpRequest, with the same timeout and errors as
+ * FileTransferWrapper.  Calls back exactly once.
+ * @param {string} URL of the file
+ * @param {string} name to report as the error's target
+ * @param {function} optional onprogress(event)
+ * @param {function} success(blob)
+ * @param {function} fail(err)
+ * @return {object} with an abort() method
+ */
+function _downloadBlob(uri, target, onprogress, success, fail) {
+  var finished = false,
+      timeout_id = undefined,
+      xhr = new XMLHttpRequest();
+  
+  xhr.open('GET', uri, true);
+  try {
+    xhr.responseType = 'blob';
+  } catch (e) {}
+  if (xhr.responseType != 'blob') xhr.responseType = 'arraybuffer';
+  
+  xhr.onprogress = function(e) {
+    if (finished) return;
+    resetTimeout();
+    if (onprogress) onprogress(e);
+  };
+  xhr.onload = function() {
+    if (finished) return;
+    // file: URLs have a status of 0
+    if (xhr.status != 200 && !(xhr.status == 0 && xhr.response)) {
+      return error(xhr.status == 404 ? FileTransferWrapper.FILE_NOT_FOUND_ERR : FileTransferWrapper.CONNECTION_ERR, xhr.status);
+    }
+    finished = true;
+    clearTimeout(timeout_id);
+    success((xhr.responseType == 'blob') ? xhr.response : new Blob([xhr.response]));
+  };
+  xhr.onerror = function() {
+    error(FileTransferWrapper.CONNECTION_ERR, null);
+  };
+  
+  resetTimeout();
+  xhr.send();
+  
+  return {
+    abort: function() {
+      if (finished) return;
+      xhr.abort();
+      // cordova calls back asynchronously when aborted, so do the same
+      setTimeout(function() {
+        error(FileTransferWrapper.ABORT_ERR, null);
+      }, 0);
+    }
+  };
+  
+  function resetTimeout() {
+    if (FileTransferWrapper.ENFORCE_DOWNLOAD_TIMEOUT) {
+      clearTimeout(timeout_id);
+      timeout_id = setTimeout(function() {
+        xhr.abort();
+        error(FileTransferWrapper.CONNECTION_ERR, null, true);
+      }, FileTransferWrapper.DOWNLOAD_TIMEOUT);
+    }
+  }
+  
+  function error(code, httpStatus, timedOut) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeout_id);
+    var err = {code:code, source:uri, target:target, http_status:httpStatus || null};
+    if (timedOut) err.timeout = true;
+    fail(err);
+  }
+}
+
+/**
+ * Keeps files in memory, e.g. for unit tests.  Nothing is kept when the app is closed.
+ * @constructor
+ */
+var MemoryStorage = function() {
+  this.baseDir = '';
+  this.blobs = {};  // key -> Blob
+  this.urls = {};
+};
+
+MemoryStorage.prototype.init = function(baseDir, callback) {
+  this.baseDir = baseDir;
+  setTimeout(function() { callback(); }, 0);
+};
+
+MemoryStorage.prototype._get = function(key, callback) {
+  var blob = this.blobs.hasOwnProperty(key) ? this.blobs[key] : null;
+  setTimeout(function() { callback(blob); }, 0);
+};
+
+MemoryStorage.prototype._put = function(key, blob, callback) {
+  this.blobs[key] = blob;
+  setTimeout(function() { callback(); }, 0);
+};
+
+MemoryStorage.prototype._remove = function(key, callback) {
+  delete this.blobs[key];
+  setTimeout(function() { callback(); }, 0);
+};
+
+MemoryStorage.prototype._keys = function(prefix, callback) {
+  var keys = [];
+  for (var key in this.blobs) {
+    if (key.substr(0, prefix.length) == prefix) keys.push(key);
+  }
+  setTimeout(function() { callback(keys); }, 0);
+};
+
+_blobStorage(MemoryStorage.prototype);
+
+/**
+ * Keeps files as Blobs in an IndexedDB database, for web apps without the File API.
+ * Local URLs are object URLs, made when they are needed.
+ * @constructor
+ * @param {string} optional database name (default 'dam')
+ */
+var IndexedDBStorage = function(dbName) {
+  this.dbName = dbName || 'dam';
+  this.db = null;
+  this.baseDir = '';
+  this.urls = {};
+};
+
+IndexedDBStorage.STORE = 'files';
+
+IndexedDBStorage.prototype.init = function(baseDir, callback) {
+  var that = this;
+  this.baseDir = baseDir;
+  if (typeof(indexedDB) == 'undefined') {
+    setTimeout(function() { callback(new DAMError(DAMError.FILE_SYSTEM, "IndexedDB is not supported")); }, 0);
+    return;
+  }
+  var request = indexedDB.open(this.dbName, 1);
+  request.onupgradeneeded = function() {
+    request.result.createObjectStore(IndexedDBStorage.STORE);
+  };
+  request.onsuccess = function() {
+    that.db = request.result;
+    callback();
+  };
+  request.onerror = function() {
+    callback(_fileSystemError("Could not open database " + that.dbName, request.error));
+  };
+};
+
+IndexedDBStorage.prototype._get = function(key, callback) {
+  var request = this.db.transaction(IndexedDBStorage.STORE, 'readonly').objectStore(IndexedDBStorage.STORE).get(key);
+  request.onsuccess = function() { callback(request.result || null); };
+  request.onerror = function() { callback(null); };
+};
+
+IndexedDBStorage.prototype._put = function(key, blob, callback) {
+  var transaction = this.db.transaction(IndexedDBStorage.STORE, 'readwrite');
+  transaction.objectStore(IndexedDBStorage.STORE).put(blob, key);
+  transaction.oncomplete = function() { callback(); };
+  // Running out of space aborts the transaction with a QuotaExceededError
+  transaction.onabort = function() { callback(transaction.error || {name:'AbortError'}); };
+};
+
+IndexedDBStorage.prototype._remove = function(key, callback) {
+  var transaction = this.db.transaction(IndexedDBStorage.STORE, 'readwrite');
+  transaction.objectStore(IndexedDBStorage.STORE)['delete'](key);
+  transaction.oncomplete = transaction.onabort = function() { callback(); };
+};
+
+IndexedDBStorage.prototype._keys = function(prefix, callback) {
+  var keys = [],
+      range = IDBKeyRange.bound(prefix, prefix + '\uffff'),
+      request = this.db.transaction(IndexedDBStorage.STORE, 'readonly').objectStore(IndexedDBStorage.STORE).openCursor(range);
+  request.onsuccess = function() {
+    var cursor = request.result;
+    if (!cursor) return callback(keys);
+    keys.push(cursor.key);
+    cursor['continue']();
+  };
+  request.onerror = function() { callback(keys); };
+};
+
+_blobStorage(IndexedDBStorage.prototype);
+
+/**
+ * Keeps files in the Cache API's storage, for web apps (and their service workers) without
+ * the File API.  Files are stored under made up URLs, not their remote URLs, and local URLs
+ * are object URLs, made when they are needed.
+ * @constructor
+ * @param {string} optional cache name (default 'dam')
+ */
+var CacheAPIStorage = function(cacheName) {
+  this.cacheName = cacheName || 'dam';
+  this.cache = null;
+  this.baseDir = '';
+  this.urls = {};
+};
+
+CacheAPIStorage.URL_PREFIX = 'https://dam.invalid/';
+
+CacheAPIStorage.prototype.init = function(baseDir, callback) {
+  var that = this;
+  this.baseDir = baseDir;
+  if (typeof(caches) == 'undefined') {
+    setTimeout(function() { callback(new DAMError(DAMError.FILE_SYSTEM, "The Cache API is not supported")); }, 0);
+    return;
+  }
+  caches.open(this.cacheName).then(function(cache) {
+    that.cache = cache;
+    callback();
+  }, function(err) {
+    callback(_fileSystemError("Could not open cache " + that.cacheName, err));
+  });
+};
+
+CacheAPIStorage.prototype._get = function(key, callback) {
+  this.cache.match(CacheAPIStorage.URL_PREFIX + encodeURI(key)).then(function(response) {
+    return response ? response.blob() : null;
+  }).then(callback, function() {
+    callback(null);
+  });
+};
+
+CacheAPIStorage.prototype._put = function(key, blob, callback) {
+  this.cache.put(CacheAPIStorage.URL_PREFIX + encodeURI(key), new Response(blob)).then(function() {
+    callback();
+  }, callback);
+};
+
+CacheAPIStorage.prototype._remove = function(key, callback) {
+  this.cache['delete'](CacheAPIStorage.URL_PREFIX + encodeURI(key)).then(function() {
+    callback();
+  }, function() {
+    callback();
+  });
+};
 
-  /**
-   * Helper function to get the local file name based on an asset's uri
-   * Preserves the file extension, if there is one
-   * @param {String} the remote URI of the file to store locally 
-   */
-  function _localFileName(uri) {
-    var l = uri.lastIndexOf('.');
-    return SHA1(uri) + ((l < 1 || l == uri.length - 1) ? '' : uri.substr(l));
-  }
-        
-  function _addLocalURL(manager, remoteURL, fileEntry) {
-    if(manager.localURLs.hasOwnProperty(remoteURL) == false) {
-      manager.localURLs[remoteURL] = fileEntry.toURL();
+CacheAPIStorage.prototype._keys = function(prefix, callback) {
+  this.cache.keys().then(function(requests) {
+    var keys = [];
+    for (var i=0; i < requests.length; i++) {
+      var url = requests[i].url;
+      if (url.substr(0, CacheAPIStorage.URL_PREFIX.length) != CacheAPIStorage.URL_PREFIX) continue;
+      var key = decodeURI(url.substr(CacheAPIStorage.URL_PREFIX.length));
+      if (key.substr(0, prefix.length) == prefix) keys.push(key);
     }
-  }
+    callback(keys);
+  }, function() {
+    callback([]);
+  });
+};
 
-  function _removeLocalURL(manager, remoteURL) {
-    if(manager.localURLs.hasOwnProperty(remoteURL)) {
-      delete manager.localURLs[remoteURL];
-    }
-  }
+_blobStorage(CacheAPIStorage.prototype);
 
+/**
+ * Registries keep the DAM's bundle records, one record per bundle.  A registry has these
+ * methods, which call back asynchronously:
+ *
+ *   load(baseDir, storage, callback(error, records)) get ready to keep the records of the DAM
+ *        with this base directory and storage adapter, and get the records saved before, as
+ *        bundle name -> record.  error is a DAMError, or undefined on success.
+ *   write(records, removed, callback(error)) save changed records (bundle name -> record)
+ *        and delete the records of the removed bundle names, all or nothing.  error is a
+ *        DAMError, or undefined on success.
+ */
 
 /**
  * @private
- * Task object to encapsulate a DAM task
+ * Choose a registry for a DAM that does not say which to use
+ * @param {object} the DAM's storage adapter
+ * @return {object} registry
  */
-
-function Task(manager, bundleName, type, extra) {
-  this.manager = manager;
-  this.bundleName = bundleName;
-  this.type = type;
-  this.extra = extra;
-  this.failed = false;
-  this.error = false;
-  this.canceled = false;
-  this.retry = false;
+function _defaultRegistry(storage) {
+  if (storage instanceof FileSystemStorage && _isCordova()) return new FileRegistry();
+  if (typeof(indexedDB) != 'undefined') return new IndexedDBRegistry();
+  return new LocalStorageRegistry();
 }
 
-Task.TASK_TYPE_LOAD = 'load';
-Task.TASK_TYPE_REMOVE = 'remove';
-  
-Task.prototype.doIt = function(callback) {
-  if (this.type == Task.TASK_TYPE_LOAD) {
-    _downloadBundle(this, callback);
-  } else if (this.type == Task.TASK_TYPE_REMOVE) {
-    _removeBundleFiles(this, callback);
-  }
-}
-  
-Task.prototype.abort = function(callback) {
-  this.canceled = true;
-  if (this.ft) {
-    this.ft.abort();
-  }
-  _purgeEvents(this.manager, this.bundleName);
-}
-   
 /**
- * @private
- * Download a bundle of files
- * @param {object} the task object
- * @param {function} callback after complete
+ * Keeps bundle records in IndexedDB, each in its own entry
+ * @constructor
+ * @param {string} optional database name (default 'dam_registry')
  */
-function _downloadBundle(task, callback) {
-  var manager = task.manager,
-      bundle = manager.bundles[task.bundleName],
-      totalSize = 0, totalDoneSize = 0;
+var IndexedDBRegistry = function(dbName) {
+  this.dbName = dbName || 'dam_registry';
+  this.db = null;
+  this.prefix = '';
+};
 
-  // If the bundle has fileSizes defined, use those numbers, otherwise
-  // each file is considered equally toward progress
-  if (bundle.fileSizes) {
-    for (var i=0; i<bundle.fileSizes.length; i++) totalSize += bundle.fileSizes[i];
-  } else {
-    totalSize = bundle.files.length;
+IndexedDBRegistry.STORE = 'bundles';
+
+IndexedDBRegistry.prototype.load = function(baseDir, storage, callback) {
+  var that = this;
+  this.prefix = baseDir + '/';
+  if (typeof(indexedDB) == 'undefined') {
+    setTimeout(function() { callback(new DAMError(DAMError.FILE_SYSTEM, "IndexedDB is not supported")); }, 0);
+    return;
   }
+  var request = indexedDB.open(this.dbName, 1);
+  request.onupgradeneeded = function() {
+    request.result.createObjectStore(IndexedDBRegistry.STORE);
+  };
+  request.onerror = function() {
+    callback(_fileSystemError("Could not open database " + that.dbName, request.error));
+  };
+  request.onsuccess = function() {
+    that.db = request.result;
+    var records = {},
+        range = IDBKeyRange.bound(that.prefix, that.prefix + '\uffff'),
+        cursorRequest = that.db.transaction(IndexedDBRegistry.STORE, 'readonly').objectStore(IndexedDBRegistry.STORE).openCursor(range);
+    cursorRequest.onsuccess = function() {
+      var cursor = cursorRequest.result;
+      if (!cursor) return callback(undefined, records);
+      records[cursor.key.substr(that.prefix.length)] = cursor.value;
+      cursor['continue']();
+    };
+    cursorRequest.onerror = function() {
+      callback(_fileSystemError("Could not read database " + that.dbName, cursorRequest.error));
+    };
+  };
+};
 
-  _sendEvent(manager, {event:DAM.BUNDLE_EVENT_LOADING, name:bundle.name});
-  
-  (function loop(index) {
-    if (task.canceled) {
-      return error("canceled", false);
-    }
-    
-    if (index == bundle.files.length) {
-      bundle.loaded = true;
-      localStorage.setItem(manager.bundlesKey, JSON.stringify(manager.bundles));
-      _sendEvent(manager, {event:DAM.BUNDLE_EVENT_LOADED, name:bundle.name});
-      callback();
-      return;
-    }
-    
-    var remoteFile = bundle.files[index];
-    var localName = _localFileName(remoteFile);
-    manager.directoryEntry.getFile(localName, {create: false, exclusive: false}, function(fileEntry) {
-      if (!task.canceled) {
-          totalDoneSize += bundle.fileSizes ? bundle.fileSizes[index] : 1;
-          _sendEvent(manager, {event:DAM.BUNDLE_EVENT_PROGRESS, name:bundle.name, done: totalDoneSize / totalSize });
-      }
-      loop(index + 1);
-    }, function(err) {
-      manager.directoryEntry.getFile(localName, {create: true, exclusive: false}, function(fileEntry) {
-        var localPath = fileEntry.fullPath;
-        
-        task.ft = new FileTransferWrapper(manager.filesytem);
-        
-        task.ft.onprogress = function(e) {
-          if (e.lengthComputable && !task.canceled) {
-            var extraDone = (e.loaded / e.total) * ( bundle.fileSizes ? bundle.fileSizes[index] : 1 );
-            _sendEvent(manager, {event:DAM.BUNDLE_EVENT_PROGRESS, name:bundle.name, done: (totalDoneSize + extraDone) / totalSize });
-          }
-        }
-        
-        task.ft.download(remoteFile, localPath, _downloadSuccess, _downloadFail);
-        
-        function _downloadSuccess(fileEntry) {
-          delete task.ft;
-          _addLocalURL(manager, remoteFile, fileEntry);
-          if (!task.canceled) {
-            totalDoneSize += bundle.fileSizes ? bundle.fileSizes[index] : 1;
-            _sendEvent(manager, {event:DAM.BUNDLE_EVENT_PROGRESS, name:bundle.name, done: totalDoneSize / totalSize});
-          }
-          loop(index + 1);
-        }
+IndexedDBRegistry.prototype.write = function(records, removed, callback) {
+  var transaction = this.db.transaction(IndexedDBRegistry.STORE, 'readwrite'),
+      store = transaction.objectStore(IndexedDBRegistry.STORE);
+  for (var name in records) store.put(records[name], this.prefix + name);
+  for (var i=0; i < removed.length; i++) store['delete'](this.prefix + removed[i]);
+  transaction.oncomplete = function() { callback(); };
+  // Running out of space aborts the transaction with a QuotaExceededError
+  transaction.onabort = function() {
+    callback(_fileSystemError("Could not save bundle records", transaction.error));
+  };
+};
 
-        function _downloadFail(err) {
-          delete task.ft;
-          fileEntry.remove();
-          if (err.code == FileTransferError.ABORT_ERR) {
-            callback();
-          } else {
-            // TODO There appears to be an intermitent bug in phonegap's download: if network connectivity is lost
-            // the fail callback can be called with an http_status of 200, which indicates success.
-            var retry = !err.http_status || err.http_status == 200;
-            error("FileTransferError: " + JSON.stringify(err), retry);
-          }
-        }
-        
-      }, function (err) {
-        error("Unable to create file for download FileError code: " + err.code);
-      });
-        
-    });
-  })(0);
+/**
+ * Keeps bundle records in a JSON file in the DAM's base directory.  Needs FileSystemStorage.
+ * The file is written under another name, then moved into place, so a write that is
+ * interrupted leaves the records as they were.
+ * @constructor
+ */
+var FileRegistry = function() {
+  this.directory = null;
+  this.records = {};
+};
 
-  function error(errorStr, retry) {
-    if (typeof(retry) == 'undefined') retry = false;
-    console.log(errorStr);
-    task.failed = true;
-    task.error = errorStr;
-    task.retry = retry;
-    if (task.retry == false && task.canceled == false) {
-      _sendEvent(manager, {event:DAM.BUNDLE_EVENT_ERROR, name:bundle.name, error:errorStr});
+FileRegistry.FILE_NAME = '.bundles.json';
+FileRegistry.TEMP_FILE_NAME = '.bundles.json.tmp';
+
+FileRegistry.prototype.load = function(baseDir, storage, callback) {
+  var that = this;
+  this.directory = storage.directories ? storage.directories[FILES_AREA] : null;
+  if (!this.directory) {
+    setTimeout(function() { callback(new DAMError(DAMError.INVALID_ARGUMENT, "FileRegistry needs FileSystemStorage")); }, 0);
+    return;
+  }
+  _readTextFile(this.directory, FileRegistry.FILE_NAME, function(text) {
+    if (text != null) return loaded(text);
+    // The records were being replaced, and the new ones are complete
+    _readTextFile(that.directory, FileRegistry.TEMP_FILE_NAME, loaded);
+  });
+  
+  function loaded(text) {
+    try {
+      that.records = JSON.parse(text) || {};
+    } catch (e) {
+      that.records = {};
     }
-    callback();
+    callback(undefined, JSON.parse(JSON.stringify(that.records)));
+  }
+};
+
+FileRegistry.prototype.write = function(records, removed, callback) {
+  var that = this, next = {}, name, i;
+  for (name in this.records) next[name] = this.records[name];
+  for (name in records) next[name] = records[name];
+  for (i=0; i < removed.length; i++) delete next[removed[i]];
+  
+  _writeTextFile(this.directory, FileRegistry.TEMP_FILE_NAME, JSON.stringify(next), function(err) {
+    if (err) return callback(_fileSystemError("Could not save bundle records", err));
+    // moveTo won't always replace an existing file, so delete the old version first
+    that.directory.getFile(FileRegistry.FILE_NAME, {create: false, exclusive: false}, function(fileEntry) {
+      fileEntry.remove(move, move);
+    }, move);
+  });
+  
+  function move() {
+    that.directory.getFile(FileRegistry.TEMP_FILE_NAME, {create: false, exclusive: false}, function(fileEntry) {
+      fileEntry.moveTo(that.directory, FileRegistry.FILE_NAME, function() {
+        that.records = next;
+        callback();
+      }, failed);
+    }, failed);
+  }
+  
+  function failed(err) {
+    callback(_fileSystemError("Could not save bundle records", err));
   }
+};
+
+/**
+ * @private
+ * Read a text file
+ * @param {object} DirectoryEntry the file is in
+ * @param {string} name of the file
+ * @param {function} callback(text), text is null if the file can't be read
+ */
+function _readTextFile(directoryEntry, name, callback) {
+  directoryEntry.getFile(name, {create: false, exclusive: false}, function(fileEntry) {
+    fileEntry.file(function(file) {
+      var reader = new FileReader();
+      reader.onload = function() { callback(reader.result); };
+      reader.onerror = function() { callback(null); };
+      reader.readAsText(file);
+    }, function() {
+      callback(null);
+    });
+  }, function() {
+    callback(null);
+  });
 }
-    
+
 /**
  * @private
- * @param {object} DAM object
- * @param {object} the task object
- * @param {function} callback
+ * Write a text file, replacing it if it exists
+ * @param {object} DirectoryEntry to put the file in
+ * @param {string} name of the file
+ * @param {string} the text
+ * @param {function} callback(err), err is undefined on success
  */
-function _removeBundleFiles(task, callback) {
-  var manager = task.manager,
-      bundle = task.extra;
-      
-  (function loop(index) {
-    if (task.canceled || index == bundle.files.length) {
-      callback();
-      return;
-    }
+function _writeTextFile(directoryEntry, name, text, callback) {
+  // Start from an empty file, writing does not truncate
+  directoryEntry.getFile(name, {create: false, exclusive: false}, function(fileEntry) {
+    fileEntry.remove(create, create);
+  }, create);
+  
+  function create() {
+    directoryEntry.getFile(name, {create: true, exclusive: false}, function(fileEntry) {
+      fileEntry.createWriter(function(writer) {
+        writer.onwriteend = function() { callback(); };
+        writer.onerror = function() { callback(writer.error || {}); };
+        // cordova 2.2's FileWriter writes strings, the HTML5 one Blobs
+        writer.write(_isCordova() ? text : new Blob([text], {type:'application/json'}));
+      }, callback);
+    }, callback);
+  }
+}
 
-    var fileName = bundle.files[index];
-    var localFileName = _localFileName(fileName);
-    
-    // skip if any other bundle is referencing this file
-    for (var bName in manager.bundles) {
-      if (bName == bundle.name) continue;
-      var files = manager.bundles[bName].files;
-      for (var findex = 0; findex < files.length; findex++) {
-        if (files[findex] == fileName) {
-          loop(index + 1);
-          return;
-        }
-      }   
-    }
-    
-    // Delete the file
-    // Seems that deleting a file will ALWAYS generate an error, so just ignore it
-    // http://comments.gmane.org/gmane.comp.handhelds.phonegap/27080
-    manager.directoryEntry.getFile(localFileName, {create: false, exclusive: false}, function(fileEntry) {
-      fileEntry.remove(next, next);
-      _removeLocalURL(manager, fileName);
-    }, next);
-    
-    function next() { loop(index + 1); }
+/**
+ * Keeps bundle records in localStorage, all under one key, as DAM always used to
+ * @constructor
+ */
+var LocalStorageRegistry = function() {
+  this.key = null;
+  this.records = {};
+};
 
-  })(0);    
-}
+LocalStorageRegistry.prototype.load = function(baseDir, storage, callback) {
+  var that = this;
+  this.key = "bundles_" + baseDir;
+  try {
+    this.records = JSON.parse(localStorage.getItem(this.key)) || {};
+  } catch (e) {
+    this.records = {};
+  }
+  setTimeout(function() { callback(undefined, JSON.parse(JSON.stringify(that.records))); }, 0);
+};
 
+LocalStorageRegistry.prototype.write = function(records, removed, callback) {
+  var next = {}, name, i, error;
+  for (name in this.records) next[name] = this.records[name];
+  for (name in records) next[name] = records[name];
+  for (i=0; i < removed.length; i++) delete next[removed[i]];
+  try {
+    localStorage.setItem(this.key, JSON.stringify(next));
+    this.records = next;
+  } catch (e) {
+    // e.g. QuotaExceededError.  setItem changes nothing when it fails.
+    error = _fileSystemError("Could not save bundle records", e);
+  }
+  setTimeout(function() { callback(error); }, 0);
+};
 
 /**
  * @private
  * FileTransferWrapper is a wrapper class for the phonegap FileTransfer. It has 2 purposes:
  *   - enforce our own timeout
- *   - (future) provide phonegap v2.2 FileTransfer-like interface to XHR2 + FileWriter
+ *   - provide phonegap v2.2 FileTransfer-like interface to XHR2 + FileWriter when
+ *     not running in cordova, e.g. desktop Chrome during development
  */
  
-function FileTransferWrapper(filesytem) {
-  this.isCordova = (typeof(cordova) !== 'undefined' || typeof(phonegap) !== 'undefined');
-  this.filesytem = filesytem;
+function FileTransferWrapper(fileSystem) {
+  this.isCordova = _isCordova();
+  this.fileSystem = fileSystem;
 }
   
 /**
  *  FileTransfer.download() does not fire error callback sometimes when network
  *  connection is lost.   No timeout.  No nothing.   We *need* a callback 
- *  to keep our task queue going, so enforce our own timeout.
+ *  to keep our task queue going, so enforce our own timeout.  A transfer that times
+ *  out is aborted, and the timeout is reported once it has stopped writing the file.
  */
 FileTransferWrapper.ENFORCE_DOWNLOAD_TIMEOUT = true;
 FileTransferWrapper.DOWNLOAD_TIMEOUT = 30000;
+
+/**
+ * Resumable downloads (XHR only) are fetched in pieces of this many bytes with
+ * HTTP Range requests, so that a failure only loses the piece being downloaded.
+ */
+FileTransferWrapper.RANGE_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Error codes, the same as cordova's FileTransferError codes.  Errors passed to the
+ * error callback always have code, source, target and http_status properties.  Downloads
+ * that timed out also have timeout:true, and ones that could not be written to the file
+ * (XHR only) have file_error with the FileError.
+ */
+FileTransferWrapper.FILE_NOT_FOUND_ERR = 1;
+FileTransferWrapper.INVALID_URL_ERR = 2;
+FileTransferWrapper.CONNECTION_ERR = 3;
+FileTransferWrapper.ABORT_ERR = 4;
     
 FileTransferWrapper.prototype.download = function(uri, localPath, success_callback, error_callback) {
   this.uri = uri;
@@ -720,11 +4855,11 @@ FileTransferWrapper.prototype.download = function(uri, localPath, success_callba
   this.success_callback = success_callback;
   this.error_callback = error_callback;
     
-  return _cordova_download(this);
+  return this.isCordova ? _cordova_download(this) : _xhr_download(this);
 }
     
 FileTransferWrapper.prototype.abort = function() {
-    return this.ft.abort();
+  return this.isCordova ? this.ft.abort() : this.xhr_abort();
 }
 
 function _cordova_download(context) {
@@ -746,25 +4881,294 @@ function _cordova_download(context) {
     }
   }
   context.ft.download(context.uri, context.localPath, function(fileEntry) {
-    if (!timed_out) {
-      clearTimeout(timeout_id);
-      context.success_callback(fileEntry);
-    }
+    // Even after timing out, it may have finished before it could be aborted
+    clearTimeout(timeout_id);
+    context.success_callback(fileEntry);
   }, function(err) {
-    if (!timed_out) {
-      clearTimeout(timeout_id);
-      context.error_callback(err);
+    clearTimeout(timeout_id);
+    if (timed_out) {
+      // Aborted by timeout(), so say why
+      err = new FileTransferError(FileTransferError.CONNECTION_ERR, context.uri, context.localPath, null);
+      err.timeout = true;
     }
+    context.error_callback(err);
   });
   
   function timeout() {
+    // Until the transfer calls back, it may still be writing the file, so nothing else may
+    // touch it before then
     timed_out = true;
     timeout_id = undefined;
-    var err = new FileTransferError(FileTransferError.CONNECTION_ERR, context.uri, context.localPath, null);
+    context.ft.abort();
+  }
+}
+
+/**
+ * @private
+ * Download with XMLHttpRequest level 2, and write the file with a FileWriter.
+ * Calls back exactly once, like cordova's FileTransfer.download()
+ *
+ * If context.stagingDirectory is set, the download is resumable: it is written to a
+ * file of the same name in that directory, with HTTP Range requests, and moved to
+ * localPath when complete (unless localPath is that file).  How far it got is reported to context.onresumestate(state)
+ * after each piece, and the download carries on from context.resumeState if the
+ * server says the file has not changed since.
+ *
+ * @param {object} the FileTransferWrapper
+ */
+function _xhr_download(context) {
+  var finished = false,
+      timeout_id = undefined,
+      writer = null,
+      xhr = null,
+      state = null,
+      stagingEntry = null,
+      restarted = false;
+  
+  context.xhr_abort = function() {
+    if (finished) return;
+    stop();
+    // cordova calls back asynchronously when aborted, so do the same
+    setTimeout(function() {
+      report(FileTransferWrapper.ABORT_ERR, null);
+    }, 0);
+  };
+  
+  if (context.stagingDirectory) {
+    _resumableDownload();
+  } else {
+    _request(null, function(blob) {
+      context.fileSystem.root.getFile(context.localPath, {create: true, exclusive: false}, function(fileEntry) {
+        _writeBlob(fileEntry, 0, blob, function() {
+          succeed(fileEntry);
+        });
+      }, writeFail);
+    });
+  }
+  
+  function _resumableDownload() {
+    var stagingName = context.localPath.substr(context.localPath.lastIndexOf('/') + 1);
+    context.stagingDirectory.getFile(stagingName, {create: true, exclusive: false}, function(fileEntry) {
+      stagingEntry = fileEntry;
+      stagingEntry.file(function(file) {
+        state = context.resumeState;
+        // Can only pick up where we left off if we know the file has not changed since
+        if (!state || state.uri != context.uri || !state.validator || state.offset > file.size) {
+          state = {uri:context.uri, offset:0, validator:null, total:null};
+        }
+        _nextChunk();
+      }, writeFail);
+    }, writeFail);
+  }
+  
+  function _nextChunk() {
+    if (state.total !== null && state.offset >= state.total) {
+      return _moveIntoPlace();
+    }
+    _request(state.offset, function(blob) {
+      if (xhr.status != 206) {
+        // Server ignored the Range header, or the file has changed (If-Range):
+        // either way this is the whole file
+        return _writeBlob(stagingEntry, 0, blob, _moveIntoPlace);
+      }
+      
+      var range = _parseContentRange(xhr.getResponseHeader('Content-Range')),
+          validator = xhr.getResponseHeader('ETag') || xhr.getResponseHeader('Last-Modified');
+      if (range == null || range.start != state.offset || (state.validator && validator != state.validator)) {
+        // Not what we asked for, or the file changed under us
+        return _restart();
+      }
+      
+      _writeBlob(stagingEntry, state.offset, blob, function() {
+        var total = range.total;
+        if (total === null && range.end - range.start + 1 < FileTransferWrapper.RANGE_CHUNK_SIZE) {
+          // Server does not know the length, but a short piece means we have it all
+          total = range.end + 1;
+        }
+        state = {uri:context.uri, offset:range.end + 1, validator:validator, total:total};
+        if (context.onresumestate) context.onresumestate(state);
+        _nextChunk();
+      });
+    });
+  }
+  
+  function _restart() {
+    if (restarted || state.offset == 0) {
+      return fail(FileTransferWrapper.CONNECTION_ERR, xhr.status);
+    }
+    restarted = true;
+    state = {uri:context.uri, offset:0, validator:null, total:null};
+    if (context.onresumestate) context.onresumestate(state);
+    _nextChunk();
+  }
+  
+  function _moveIntoPlace() {
+    if (finished) return;
+    if (stagingEntry.fullPath == context.localPath) {
+      if (context.onresumestate) context.onresumestate(null);
+      return succeed(stagingEntry);
+    }
+    context.fileSystem.root.getFile(context.localPath, {create: true, exclusive: false}, function(fileEntry) {
+      fileEntry.getParent(function(directoryEntry) {
+        stagingEntry.moveTo(directoryEntry, fileEntry.name, function(movedEntry) {
+          if (context.onresumestate) context.onresumestate(null);
+          succeed(movedEntry);
+        }, writeFail);
+      }, writeFail);
+    }, writeFail);
+  }
+  
+  /**
+   * Make the request.
+   * @param {number} offset to request a piece of the file from, or null for the whole file
+   * @param {function} callback(blob) on a 200 or 206 response
+   */
+  function _request(offset, callback) {
+    if (finished) return;
+    xhr = new XMLHttpRequest();
+    resetTimeout();
+    xhr.open('GET', context.uri, true);
+    try {
+      xhr.responseType = 'blob';
+    } catch (e) {}
+    if (xhr.responseType != 'blob') xhr.responseType = 'arraybuffer';
+    
+    if (offset !== null) {
+      xhr.setRequestHeader('Range', 'bytes=' + offset + '-' + (offset + FileTransferWrapper.RANGE_CHUNK_SIZE - 1));
+      if (state.validator) xhr.setRequestHeader('If-Range', state.validator);
+    }
+    
+    xhr.onprogress = function(e) {
+      if (finished) return;
+      resetTimeout();
+      if (context.onprogress) {
+        var range = (offset !== null) ? _parseContentRange(xhr.getResponseHeader('Content-Range')) : null;
+        if (range && range.total !== null) {
+          context.onprogress({lengthComputable:true, loaded:range.start + e.loaded, total:range.total});
+        } else {
+          context.onprogress({lengthComputable:e.lengthComputable, loaded:e.loaded, total:e.total});
+        }
+      }
+    };
+    
+    xhr.onload = function() {
+      if (finished) return;
+      if (xhr.status == 416 && offset === 0) {
+        // Nothing there to ask for: the file is empty
+        return _writeBlob(stagingEntry, 0, new Blob([]), _moveIntoPlace);
+      }
+      if (xhr.status == 416 && offset > 0) {
+        // Asked for more than there is: the file must have got shorter
+        return _restart();
+      }
+      // file: URLs have a status of 0
+      if (xhr.status != 200 && xhr.status != 206 && !(xhr.status == 0 && xhr.response)) {
+        return fail(xhr.status == 404 ? FileTransferWrapper.FILE_NOT_FOUND_ERR : FileTransferWrapper.CONNECTION_ERR, xhr.status);
+      }
+      callback((xhr.responseType == 'blob') ? xhr.response : new Blob([xhr.response]));
+    };
+    
+    xhr.onerror = function() {
+      fail(FileTransferWrapper.CONNECTION_ERR, null);
+    };
+    
+    xhr.send();
+  }
+  
+  /**
+   * Write a blob to a file at a position, dropping anything in the file after it
+   */
+  function _writeBlob(fileEntry, position, blob, callback) {
+    fileEntry.createWriter(function(fileWriter) {
+      if (finished) return;
+      // Writing does not truncate, so get rid of anything past position first
+      var truncating = fileWriter.length > position;
+      writer = fileWriter;
+      writer.onerror = writeFail;
+      writer.onwriteend = function() {
+        if (finished) return;
+        if (truncating) {
+          truncating = false;
+          writer.seek(position);
+          writer.write(blob);
+          return;
+        }
+        writer = null;
+        callback();
+      };
+      if (truncating) {
+        writer.truncate(position);
+      } else {
+        writer.seek(position);
+        writer.write(blob);
+      }
+    }, writeFail);
+  }
+  
+  function writeFail(err) {
+    fail(FileTransferWrapper.FILE_NOT_FOUND_ERR, xhr ? xhr.status : null, {file_error:err});
+  }
+  
+  function resetTimeout() {
+    if (FileTransferWrapper.ENFORCE_DOWNLOAD_TIMEOUT) {
+      clearTimeout(timeout_id);
+      timeout_id = setTimeout(function() {
+        fail(FileTransferWrapper.CONNECTION_ERR, null, {timeout:true});
+      }, FileTransferWrapper.DOWNLOAD_TIMEOUT);
+    }
+  }
+  
+  function succeed(fileEntry) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeout_id);
+    context.success_callback(fileEntry);
+  }
+  
+  function fail(code, httpStatus, extra) {
+    if (finished) return;
+    stop();
+    report(code, httpStatus, extra);
+  }
+  
+  /**
+   * Stop the request and any write in progress.  Once finished is set, nothing they
+   * call back with goes any further.
+   */
+  function stop() {
+    finished = true;
+    clearTimeout(timeout_id);
+    if (xhr) xhr.abort();
+    if (writer && writer.readyState == 1 /* WRITING */) writer.abort();
+  }
+  
+  function report(code, httpStatus, extra) {
+    var err = {code:code, source:context.uri, target:context.localPath, http_status:httpStatus || null};
+    for (var key in extra) err[key] = extra[key];
     context.error_callback(err);
   }
 }
 
+/**
+ * @private
+ * Parse a Content-Range header, e.g. "bytes 0-1023/146515"
+ * @param {string} the header
+ * @return {object} {start, end, total} (total is null if unknown), or null if it can't be parsed
+ */
+function _parseContentRange(header) {
+  var match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/.exec(header || '');
+  if (!match) return null;
+  return {start:parseInt(match[1], 10), end:parseInt(match[2], 10), total:(match[3] == '*') ? null : parseInt(match[3], 10)};
+}
+
+DAM.FileSystemStorage = FileSystemStorage;
+DAM.MemoryStorage = MemoryStorage;
+DAM.IndexedDBStorage = IndexedDBStorage;
+DAM.CacheAPIStorage = CacheAPIStorage;
+DAM.IndexedDBRegistry = IndexedDBRegistry;
+DAM.FileRegistry = FileRegistry;
+DAM.LocalStorageRegistry = LocalStorageRegistry;
+
 exports.DAM = DAM;
 
 })(window);
@@ -0,0 +1,30 @@
+/**
+ * init() gets going with what it can, when the state the DAM saved in localStorage is
+ * corrupt, rather than throwing
+ */
+var assert = require('assert');
+var mock = require('./mock');
+
+var store = {}, called = null;
+['partials', 'verified', 'manifests', 'access', 'paused', 'tasks'].forEach(function(name) {
+  store[name + '_assets'] = '{not json';
+});
+store.paused_assets = '"paused"';  // JSON, but not what was saved
+
+var env = mock.makeEnv({quiet:true, store:store, remote:{'http://x/a':'A'}}),
+    dam = new env.DAM('assets');
+
+dam.init(function(status) { called = status; }).then(function(status) {
+  assert.ok(status.success);
+  assert.strictEqual(called, status);
+  assert.deepEqual(JSON.parse(JSON.stringify(dam.paused)), {all:false, bundles:{}});
+  return dam.addBundle({name:'a', files:['http://x/a']});
+}).then(function() {
+  assert.ok(dam.bundleLoaded('a'));
+}).then(function() {
+  console.log('ok corrupt');
+  process.exit(0);
+}, function(e) {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * A listener that throws must not stop the others getting the event, or later events
+ */
+var assert = require('assert');
+var mock = require('./mock');
+
+var env = mock.makeEnv({quiet:true, remote:{'http://x/a':'A', 'http://x/b':'B'}}),
+    reported = [],
+    received = [];
+
+var dam = new env.DAM('assets', {
+  onListenerError: function(error, event) { reported.push({error:error, event:event}); }
+});
+
+dam.init().then(function() {
+  dam.registerEventCallback(null, function(e) { throw new Error('broken ' + e.event); });
+  dam.on(env.DAM.BUNDLE_EVENT_LOADED, null, function(e) { received.push(e.name); });
+  return dam.addBundle({name:'a', files:['http://x/a']});
+}).then(function() {
+  return mock.wait(20);
+}).then(function() {
+  assert.deepEqual(received, ['a']);
+  assert.ok(reported.length > 0);
+  for (var i=0; i < reported.length; i++) {
+    assert.equal(reported[i].error.message, 'broken ' + reported[i].event.event);
+  }
+
+  // Later events are still sent, to every listener
+  var before = reported.length;
+  return dam.addBundle({name:'b', files:['http://x/b']}).then(function() {
+    return mock.wait(20);
+  }).then(function() {
+    assert.deepEqual(received, ['a', 'b']);
+    assert.ok(reported.length > before);
+  });
+}).then(function() {
+  // Without onListenerError, the error is thrown again from a timer
+  var thrown = [], env2 = mock.makeEnv({quiet:true, remote:{'http://x/c':'C'}}),
+      dam2 = new env2.DAM('assets'),
+      received2 = [];
+  function uncaught(e) { thrown.push(e); }
+  process.on('uncaughtException', uncaught);
+
+  return dam2.init().then(function() {
+    dam2.once(env2.DAM.BUNDLE_EVENT_LOADED, null, function() { throw new Error('broken once'); });
+    dam2.on(env2.DAM.BUNDLE_EVENT_LOADED, null, function(e) { received2.push(e.name); });
+    return dam2.addBundle({name:'c', files:['http://x/c']});
+  }).then(function() {
+    return mock.wait(20);
+  }).then(function() {
+    process.removeListener('uncaughtException', uncaught);
+    assert.deepEqual(received2, ['c']);
+    assert.equal(thrown.length, 1);
+    assert.equal(thrown[0].message, 'broken once');
+  });
+}).then(function() {
+  console.log('ok events');
+  process.exit(0);
+}, function(e) {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+/**
+ * collectGarbage() finds the files no bundle uses, and deletes them unless it's a dry run.
+ * getStorageUsage() counts them as unused until then.
+ */
+var assert = require('assert');
+var crypto = require('crypto');
+var mock = require('./mock');
+
+function localName(url) { return crypto.createHash('sha1').update(url).digest('hex'); }
+
+var env = mock.makeEnv({quiet:true, remote:{'http://x/g':'GG', 'http://x/k':'KKK', 'http://x/s':'S'}}),
+    storage = new env.DAM.MemoryStorage(),
+    dam = new env.DAM('assets', {storage:storage}),
+    garbage = localName('http://x/g'),
+    ownFile = 'assets/files/settings.json';
+
+function exists(name) {
+  return new Promise(function(resolve) { storage.exists('files', name, resolve); });
+}
+
+dam.init().then(function() {
+  return dam.addBundle({name:'g', files:['http://x/g', 'http://x/s']});
+}).then(function() {
+  return dam.addBundle({name:'k', files:['http://x/k', 'http://x/s']});
+}).then(function() {
+  // The records are lost, e.g. by an earlier version of the app, but the files are not
+  for (var key in env.store) delete env.store[key];
+  storage.blobs[ownFile] = {size:10};  // the app's own file, not named the way DAM names them
+  dam = new env.DAM('assets', {storage:storage});
+  return dam.init();
+}).then(function() {
+  return dam.addBundle({name:'k', files:['http://x/k', 'http://x/s']});
+}).then(function() {
+  return dam.collectGarbage(null, {dryRun:true});
+}).then(function(result) {
+  assert.deepEqual(result, {success:true, files:[{name:garbage, size:2}], total:2});
+  return exists(garbage);
+}).then(function(found) {
+  assert.ok(found);
+  return dam.getStorageUsage();
+}).then(function(usage) {
+  assert.equal(usage.bundles, 4);
+  assert.equal(usage.unused, 2);
+  assert.equal(usage.total, 6);
+  var called = null;
+  return dam.collectGarbage(function(result) { called = result; }).then(function(result) {
+    assert.deepEqual(result, {success:true, files:[{name:garbage, size:2}], total:2});
+    assert.strictEqual(called, result);
+  });
+}).then(function() {
+  return Promise.all([exists(garbage), exists(localName('http://x/k')), exists(localName('http://x/s'))]);
+}).then(function(found) {
+  assert.deepEqual(found, [false, true, true]);
+  assert.ok(storage.blobs.hasOwnProperty(ownFile));
+  assert.ok(dam.bundleLoaded('k'));
+  return dam.collectGarbage();
+}).then(function(result) {
+  assert.deepEqual(result, {success:true, files:[], total:0});
+  return dam.getStorageUsage();
+}).then(function(usage) {
+  assert.equal(usage.unused, 0);
+  assert.equal(usage.total, 4);
+}).then(function() {
+  console.log('ok garbage');
+  process.exit(0);
+}, function(e) {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+/**
+ * Killing the app part way through a removal, a load or an update, then starting a new DAM
+ * on what it left behind, must finish what was started
+ */
+var assert = require('assert');
+var crypto = require('crypto');
+var mock = require('./mock');
+
+var REGISTRY = '/assets/.bundles.json';
+var JOURNAL = 'tasks_assets';
+
+function sha1(str) { return crypto.createHash('sha1').update(str, 'binary').digest('hex'); }
+
+function records(disk) { return disk[REGISTRY] ? JSON.parse(disk[REGISTRY]) : {}; }
+
+function journal(store) { return store[JOURNAL] ? JSON.parse(store[JOURNAL]) : []; }
+
+// Contents of the files in the files area
+function contents(disk) {
+  var found = [];
+  for (var p in disk) {
+    if (/^\/assets\/[^.\/][^\/]*$/.test(p) && typeof(disk[p]) == 'string') found.push(disk[p]);
+  }
+  return found.sort();
+}
+
+/**
+ * Run a DAM, and copy its disk and localStorage the first time killed(disk, store) is true
+ * after either changes, as if the app was killed then
+ * @param {object} remote files
+ * @param {function} given the DAM, once it's initialized, and its disk, starts what's to be
+ *        interrupted
+ * @param {function} killed(disk, store)
+ * @param {object} optional DAM options
+ * @return {object} promise of {disk, store}
+ */
+function killWhen(remote, start, killed, options) {
+  var disk = {}, store = {}, snapshot = null;
+  function changed() {
+    if (!snapshot && killed(disk, store)) {
+      snapshot = {disk: Object.assign({}, disk), store: Object.assign({}, store)};
+    }
+  }
+  function watch(obj) {
+    return new Proxy(obj, {
+      set: function(target, key, value) { target[key] = value; changed(); return true; },
+      deleteProperty: function(target, key) { delete target[key]; changed(); return true; }
+    });
+  }
+  var env = mock.makeEnv({quiet:true, remote:remote, disk:watch(disk), store:watch(store)}),
+      dam = new env.DAM('assets', options);
+
+  return dam.init().then(function() {
+    start(dam, disk);
+    return until(function() { return snapshot; });
+  }).then(function() {
+    return snapshot;
+  });
+}
+
+/**
+ * Start a new DAM on what killWhen() copied
+ * @return {object} promise of {dam, disk, store}
+ */
+function restart(snapshot, remote) {
+  var env = mock.makeEnv({quiet:true, remote:remote, disk:snapshot.disk, store:snapshot.store}),
+      dam = new env.DAM('assets');
+  return dam.init().then(function() { return {dam:dam, disk:env.disk, store:env.store}; });
+}
+
+function until(test) {
+  var deadline = Date.now() + 5000;
+  return new Promise(function(resolve, reject) {
+    (function poll() {
+      if (test()) return resolve();
+      if (Date.now() > deadline) return reject(new Error('timed out'));
+      setTimeout(poll, 5);
+    })();
+  });
+}
+
+// Bundle a is removed while bundle c is loading, and b shares a file with a.  With one task at
+// a time, the removal waits for the load.
+var remote = {'http://x/a1':'A1', 'http://x/a2':'A2', 'http://x/shared':'S', 'http://x/b':'B', 'http://x/c':'C'},
+    hung = Object.assign({}, remote, {'http://x/c':{hang:true}});
+
+function removeWhile(killed, options) {
+  return killWhen(hung, function(dam, disk) {
+    dam.addBundle({name:'a', files:['http://x/a1', 'http://x/a2', 'http://x/shared']}).then(function() {
+      return dam.addBundle({name:'b', files:['http://x/b', 'http://x/shared']});
+    }).then(function() {
+      dam.addBundle({name:'c', files:['http://x/c']});
+      // Records that hadn't been saved would be lost anyway
+      return until(function() { var r = records(disk); return r.a && r.a.loaded && r.b && r.b.loaded && r.c; });
+    }).then(function() {
+      dam.removeBundle('a');
+    });
+  }, killed, options).then(function(snapshot) {
+    // Killed again straight after init(), the journal still has both tasks, in order
+    var copy = {disk: Object.assign({}, snapshot.disk), store: Object.assign({}, snapshot.store)};
+    return restart(copy, hung).then(function(r) {
+      assert.deepEqual(journal(r.store).map(function(e) { return e.type + ' ' + e.name; }), ['load c', 'remove a']);
+      return restart(snapshot, remote);
+    });
+  }).then(function(r) {
+    return until(function() { return r.dam.bundleLoaded('c'); }).then(function() {
+      // The removal is finished when it's no longer in the journal
+      return until(function() { return journal(r.store).length == 0; });
+    }).then(function() {
+      assert.ok(!r.dam.bundleAdded('a'));
+      assert.ok(r.dam.bundleLoaded('b'));
+      assert.deepEqual(contents(r.disk), ['B', 'C', 'S']);
+    });
+  });
+}
+
+function removing(store) {
+  return journal(store).some(function(e) { return e.type == 'remove' && e.name == 'a'; });
+}
+
+// Before the record is deleted
+removeWhile(function(disk, store) {
+  return removing(store) && records(disk).a;
+}).then(function() {
+  // After the record is deleted, before any files are
+  return removeWhile(function(disk, store) {
+    return removing(store) && records(disk).b && !records(disk).a && contents(disk).indexOf('A1') >= 0 && contents(disk).indexOf('A2') >= 0;
+  });
+}).then(function() {
+  // Part way through deleting the files
+  return removeWhile(function(disk, store) {
+    var c = contents(disk);
+    return removing(store) && (c.indexOf('A1') < 0) != (c.indexOf('A2') < 0);
+  }, {maxConcurrentDownloads:2});
+}).then(function() {
+  // Part way through a load
+  var files = {'http://x/1':'1', 'http://x/2':'2', 'http://x/3':'3'};
+  return killWhen(files, function(dam) {
+    dam.addBundle({name:'n', files:Object.keys(files)});
+  }, function(disk) {
+    return contents(disk).length == 1;
+  }).then(function(snapshot) {
+    assert.ok(journal(snapshot.store).some(function(e) { return e.type == 'load' && e.name == 'n'; }));
+    return restart(snapshot, files);
+  }).then(function(r) {
+    return until(function() { return r.dam.bundleLoaded('n'); }).then(function() {
+      assert.deepEqual(contents(r.disk), ['1', '2', '3']);
+    });
+  });
+}).then(function() {
+  // Part way through swapping in a new version whose files changed, but not their URLs
+  var v1 = {'http://x/u1':'old1', 'http://x/u2':'old2'},
+      v2 = {'http://x/u1':'new1', 'http://x/u2':'new2'},
+      urls = Object.keys(v1);
+  function version(n, remote) {
+    return {name:'u', version:n, files:urls, fileHashes:urls.map(function(u) { return sha1(remote[u]); })};
+  }
+  var served = Object.assign({}, v1);
+  return killWhen(served, function(dam) {
+    dam.addBundle(version(1, v1)).then(function() {
+      Object.assign(served, v2);
+      dam.updateBundle(version(2, v2));
+    });
+  }, function(disk) {
+    var c = contents(disk);
+    return c.indexOf('new1') >= 0 != c.indexOf('new2') >= 0 && c.indexOf('old1') + c.indexOf('old2') > -2;
+  }).then(function(snapshot) {
+    assert.equal(records(snapshot.disk).u.version, 1);
+    return restart(snapshot, v2);
+  }).then(function(r) {
+    return until(function() { return r.dam.bundleLoaded('u') && r.dam.getBundle('u').version == 2; }).then(function() {
+      assert.deepEqual(contents(r.disk), ['new1', 'new2']);
+    });
+  });
+}).then(function() {
+  console.log('ok journal');
+  process.exit(0);
+}, function(e) {
+  console.error(e);
+  process.exit(1);
+});
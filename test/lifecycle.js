@@ -0,0 +1,33 @@
+/**
+ * Calling init() again doesn't add its listeners again, and the app going into the
+ * background and coming back still works
+ */
+var assert = require('assert');
+var mock = require('./mock');
+
+var env = mock.makeEnv({quiet:true}),
+    dam = new env.DAM('assets');
+
+dam.init().then(function() {
+  return dam.init();
+}).then(function() {
+  ['online', 'offline', 'pause', 'resume'].forEach(function(type) {
+    assert.equal(env.listenerCount(type), 1, type);
+  });
+  assert.ok(dam.expiryTimer != null && dam.manifestTimer != null);
+
+  env.fire('pause');
+  assert.ok(dam.suspended);
+  assert.equal(dam.expiryTimer, null);
+  env.fire('resume');
+  return mock.wait(50);
+}).then(function() {
+  assert.ok(!dam.suspended);
+  assert.ok(dam.expiryTimer != null);
+}).then(function() {
+  console.log('ok lifecycle');
+  process.exit(0);
+}, function(e) {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,338 @@
+/**
+ * A small Cordova 2.2 File / FileTransfer environment, enough to run dam.js in node.
+ * Files live in a plain object (full path -> string content), remote files in another
+ * (URL -> content string, {body, etag} / {offline:true} / {hang:true} / {status:n}), and localStorage
+ * in a third, so tests can look at them, change them, and start a new DAM on the same
+ * ones to see what init() makes of what an earlier DAM left behind.
+ */
+var vm = require('vm');
+var fs = require('fs');
+var path = require('path');
+
+var DAM_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'dam.js'), 'utf8');
+
+/**
+ * @param {object} optional {disk, remote, store, latency (ms per download, default 5), quiet,
+ *        browser (no cordova global, and directories are read like browsers do)}
+ * @return {object} {DAM, disk, remote, store, log (of downloads), listenerCount(eventType),
+ *         fire(eventType)}
+ */
+function makeEnv(opts) {
+  opts = opts || {};
+  var disk = opts.disk || {};
+  var remote = opts.remote || {};
+  var store = opts.store || {};
+  var log = [];
+  var listeners = {};
+
+  function FileError(code) { this.code = code; }
+  FileError.NOT_FOUND_ERR = 1;
+  FileError.PATH_EXISTS_ERR = 12;
+
+  // Content of a remote file, or undefined if it's an error
+  function body(r) { return typeof(r) == 'object' ? r.body : r; }
+  function norm(p) { return p.replace(/\/+/g, '/').replace(/\/$/, ''); }
+  function later(f) { setTimeout(f, 1); }
+
+  function FileEntry(fullPath) {
+    this.isFile = true;
+    this.isDirectory = false;
+    this.fullPath = fullPath;
+    this.name = fullPath.substr(fullPath.lastIndexOf('/') + 1);
+  }
+  FileEntry.prototype.toURL = function() { return 'file://' + this.fullPath; };
+  FileEntry.prototype.getParent = function(success) {
+    var p = this.fullPath;
+    later(function() { success(new DirectoryEntry(p.substr(0, p.lastIndexOf('/')))); });
+  };
+  FileEntry.prototype.remove = function(success, fail) {
+    var p = this.fullPath;
+    later(function() {
+      if (!disk.hasOwnProperty(p)) return fail && fail(new FileError(FileError.NOT_FOUND_ERR));
+      delete disk[p];
+      if (success) success();
+    });
+  };
+  FileEntry.prototype.file = function(success, fail) {
+    var p = this.fullPath;
+    later(function() {
+      if (!disk.hasOwnProperty(p)) return fail && fail(new FileError(FileError.NOT_FOUND_ERR));
+      success({size:Buffer.byteLength(disk[p], 'binary'), _path:p, name:p.substr(p.lastIndexOf('/') + 1)});
+    });
+  };
+  FileEntry.prototype.getMetadata = function(success) {
+    later(function() { success({modificationTime:new Date()}); });
+  };
+  FileEntry.prototype.moveTo = function(parent, newName, success, fail) {
+    var p = this.fullPath, np = norm(parent.fullPath + '/' + (newName || this.name));
+    later(function() {
+      if (!disk.hasOwnProperty(p)) return fail && fail(new FileError(FileError.NOT_FOUND_ERR));
+      disk[np] = disk[p];
+      delete disk[p];
+      if (success) success(new FileEntry(np));
+    });
+  };
+  FileEntry.prototype.createWriter = function(success) {
+    var p = this.fullPath;
+    later(function() {
+      var writer = {position:0, length:disk[p].length, readyState:0};
+      writer.abort = function() {};
+      writer.seek = function(offset) { writer.position = offset; };
+      writer.truncate = function(n) {
+        disk[p] = disk[p].substr(0, n);
+        writer.length = n;
+        later(function() { if (writer.onwriteend) writer.onwriteend(); });
+      };
+      writer.write = function(data) {
+        var str = typeof(data) == 'string' ? data : data._str, current = disk[p];
+        disk[p] = current.substr(0, writer.position) + str + current.substr(writer.position + str.length);
+        writer.position += str.length;
+        writer.length = disk[p].length;
+        later(function() { if (writer.onwriteend) writer.onwriteend(); });
+      };
+      success(writer);
+    });
+  };
+
+  function DirectoryEntry(fullPath) {
+    this.isFile = false;
+    this.isDirectory = true;
+    this.fullPath = fullPath;
+    this.name = fullPath.substr(fullPath.lastIndexOf('/') + 1);
+  }
+  DirectoryEntry.prototype.toURL = function() { return 'file://' + this.fullPath + '/'; };
+  DirectoryEntry.prototype.getFile = function(name, flags, success, fail) {
+    var p = name.charAt(0) == '/' ? norm(name) : norm(this.fullPath + '/' + name);
+    later(function() {
+      if (disk.hasOwnProperty(p)) {
+        if (flags && flags.create && flags.exclusive) return fail && fail(new FileError(FileError.PATH_EXISTS_ERR));
+        return success(new FileEntry(p));
+      }
+      if (flags && flags.create) {
+        disk[p] = '';
+        return success(new FileEntry(p));
+      }
+      if (fail) fail(new FileError(FileError.NOT_FOUND_ERR));
+    });
+  };
+  DirectoryEntry.prototype.getDirectory = function(name, flags, success, fail) {
+    var p = name.charAt(0) == '/' ? norm(name) : norm(this.fullPath + '/' + name);
+    later(function() {
+      if (disk.hasOwnProperty(p + '/')) return success(new DirectoryEntry(p));
+      if (flags && flags.create) {
+        disk[p + '/'] = true;
+        return success(new DirectoryEntry(p));
+      }
+      if (fail) fail(new FileError(FileError.NOT_FOUND_ERR));
+    });
+  };
+  DirectoryEntry.prototype.removeRecursively = function(success) {
+    var p = this.fullPath;
+    later(function() {
+      for (var k in disk) if (k.indexOf(p + '/') === 0) delete disk[k];
+      if (success) success();
+    });
+  };
+  // Cordova 2.2's readEntries() returns the whole directory every time.  Browsers return
+  // it a few entries at a time, then nothing.
+  DirectoryEntry.prototype.createReader = function() {
+    var dir = this.fullPath, offset = 0;
+    return {readEntries: function(success) {
+      later(function() {
+        var entries = [];
+        for (var k in disk) {
+          if (k.indexOf(dir + '/') !== 0) continue;
+          var rest = k.substr(dir.length + 1);
+          if (rest === '') continue;
+          if (rest.indexOf('/') === -1) {
+            entries.push(new FileEntry(k));
+          } else if (rest.indexOf('/') === rest.length - 1) {
+            entries.push(new DirectoryEntry(k.substr(0, k.length - 1)));
+          }
+        }
+        if (opts.browser) {
+          entries = entries.slice(offset, offset + 2);
+          offset += entries.length;
+        }
+        success(entries);
+      });
+    }};
+  };
+
+  function FileTransferError(code, source, target, status) {
+    this.code = code || null;
+    this.source = source || null;
+    this.target = target || null;
+    this.http_status = status || null;
+  }
+  FileTransferError.FILE_NOT_FOUND_ERR = 1;
+  FileTransferError.INVALID_URL_ERR = 2;
+  FileTransferError.CONNECTION_ERR = 3;
+  FileTransferError.ABORT_ERR = 4;
+
+  function FileTransfer() {}
+  FileTransfer.prototype.download = function(source, target, success, fail) {
+    var that = this;
+    log.push('download ' + source);
+    this.source = source;
+    this.target = target;
+    this.fail = fail;
+    this.timer = setTimeout(function() {
+      var r = remote[source];
+      if (typeof(r) == 'object' && r.hang) return;
+      that.done = true;
+      if (typeof(r) == 'undefined' || (typeof(r) == 'object' && r.status)) {
+        return fail(new FileTransferError(FileTransferError.FILE_NOT_FOUND_ERR, source, target, r ? r.status : 404));
+      }
+      if (typeof(r) == 'object' && r.offline) {
+        return fail(new FileTransferError(FileTransferError.CONNECTION_ERR, source, target, null));
+      }
+      r = body(r);
+      if (that.onprogress) that.onprogress({lengthComputable:true, loaded:r.length / 2, total:r.length});
+      disk[norm(target)] = r;
+      success(new FileEntry(norm(target)));
+    }, opts.latency || 5);
+  };
+  FileTransfer.prototype.abort = function() {
+    var that = this;
+    if (this.done) return;
+    this.done = true;
+    clearTimeout(this.timer);
+    later(function() {
+      that.fail(new FileTransferError(FileTransferError.ABORT_ERR, that.source, that.target, null));
+    });
+  };
+
+  function Blob(parts) {
+    this._str = parts.map(function(p) { return typeof(p._str) != 'undefined' ? p._str : String(p); }).join('');
+    this.size = this._str.length;
+  }
+  Blob.prototype.slice = function(start, end) { return new Blob([this._str.slice(start, end)]); };
+
+  function FileReader() {}
+  FileReader.prototype.readAsArrayBuffer = function(file) {
+    var reader = this;
+    later(function() {
+      var b = Buffer.from(typeof(file._str) != 'undefined' ? file._str : disk[file._path], 'binary');
+      reader.result = b.buffer.slice(b.byteOffset, b.byteOffset + b.length);
+      if (reader.onload) reader.onload();
+    });
+  };
+  FileReader.prototype.readAsText = function(file) {
+    var reader = this;
+    later(function() {
+      reader.result = typeof(file._str) != 'undefined' ? file._str : disk[file._path];
+      if (reader.onload) reader.onload();
+    });
+  };
+  FileReader.prototype.readAsDataURL = function(file) {
+    var reader = this;
+    later(function() {
+      var str = typeof(file._str) != 'undefined' ? file._str : disk[file._path];
+      reader.result = 'data:;base64,' + Buffer.from(str, 'binary').toString('base64');
+      if (reader.onload) reader.onload();
+    });
+  };
+
+  // Only what the DAM's JSON requests (manifests, catalogs) and XHR downloads need.  Range
+  // requests get a 206, or a 416 if they start past the end, unless If-Range doesn't match.
+  function XMLHttpRequest() { this.headers = {}; this.responseHeaders = {}; this.responseType = ''; }
+  XMLHttpRequest.prototype.open = function(method, url) { this.url = url; };
+  XMLHttpRequest.prototype.setRequestHeader = function(name, value) { this.headers[name.toLowerCase()] = value; };
+  XMLHttpRequest.prototype.getResponseHeader = function(name) {
+    var value = this.responseHeaders[name.toLowerCase()];
+    return typeof(value) == 'undefined' ? null : value;
+  };
+  XMLHttpRequest.prototype.abort = function() { this.aborted = true; clearTimeout(this.timer); };
+  XMLHttpRequest.prototype.send = function() {
+    var xhr = this;
+    log.push('xhr ' + this.url + (this.headers.range ? ' range ' + this.headers.range : '') +
+             (this.headers['if-range'] ? ' if-range ' + this.headers['if-range'] : ''));
+    this.timer = setTimeout(function() {
+      var r = remote[xhr.url], range;
+      if (typeof(r) == 'object' && r.hang) return;
+      if (typeof(r) == 'object' && r.offline) return xhr.onerror && xhr.onerror();
+      if (typeof(r) == 'undefined' || (typeof(r) == 'object' && r.status)) {
+        xhr.status = r ? r.status : 404;
+        xhr.response = null;
+        xhr.responseText = '';
+        return xhr.onload && xhr.onload();
+      }
+      if (typeof(r) == 'object' && r.etag) xhr.responseHeaders.etag = r.etag;
+      r = body(r);
+      xhr.status = 200;
+      range = /^bytes=(\d+)-(\d*)$/.exec(xhr.headers.range || '');
+      if (range && (!xhr.headers['if-range'] || xhr.headers['if-range'] == xhr.responseHeaders.etag)) {
+        var start = parseInt(range[1], 10), end = range[2] ? Math.min(parseInt(range[2], 10), r.length - 1) : r.length - 1;
+        if (start >= r.length) {
+          xhr.status = 416;
+          xhr.responseHeaders['content-range'] = 'bytes */' + r.length;
+          r = '';
+        } else {
+          xhr.status = 206;
+          xhr.responseHeaders['content-range'] = 'bytes ' + start + '-' + end + '/' + r.length;
+          r = r.substring(start, end + 1);
+        }
+      }
+      xhr.responseText = r;
+      xhr.response = xhr.responseType == 'blob' ? new Blob([r]) : r;
+      if (xhr.onprogress) xhr.onprogress({lengthComputable:true, loaded:r.length, total:r.length});
+      if (xhr.onload) xhr.onload();
+    }, opts.latency || 5);
+  };
+
+  var sandbox = {
+    console: opts.quiet ? {log: function() {}, warn: function() {}, error: console.error} : console,
+    setTimeout: setTimeout, clearTimeout: clearTimeout, setInterval: setInterval, clearInterval: clearInterval,
+    Promise: Promise, Uint8Array: Uint8Array,
+    localStorage: {
+      getItem: function(key) { return store.hasOwnProperty(key) ? store[key] : null; },
+      setItem: function(key, value) { store[key] = String(value); },
+      removeItem: function(key) { delete store[key]; }
+    },
+    document: {
+      addEventListener: function(type, f) { (listeners[type] = listeners[type] || []).push(f); },
+      removeEventListener: function(type, f) {
+        var l = listeners[type] || [], i = l.indexOf(f);
+        if (i >= 0) l.splice(i, 1);
+      }
+    },
+    navigator: {},
+    cordova: {},
+    LocalFileSystem: {PERSISTENT:1, TEMPORARY:0},
+    requestFileSystem: function(type, size, success) {
+      later(function() { success({name:'persistent', root:new DirectoryEntry('')}); });
+    },
+    FileTransfer: FileTransfer, FileTransferError: FileTransferError, FileError: FileError,
+    FileReader: FileReader, Blob: Blob, XMLHttpRequest: XMLHttpRequest,
+    URL: {createObjectURL: function() { return 'blob:' + Math.random(); }, revokeObjectURL: function() {}},
+    atob: function(s) { return Buffer.from(s, 'base64').toString('binary'); }
+  };
+  if (opts.browser) delete sandbox.cordova;
+  sandbox.window = sandbox;
+  sandbox.addEventListener = sandbox.document.addEventListener;
+  vm.createContext(sandbox);
+  vm.runInContext(DAM_SOURCE, sandbox, {filename:'dam.js'});
+
+  return {
+    DAM: sandbox.DAM,
+    disk: disk,
+    remote: remote,
+    store: store,
+    log: log,
+    listenerCount: function(type) { return (listeners[type] || []).length; },
+    fire: function(type) {
+      (listeners[type] || []).slice().forEach(function(f) { f({type:type}); });
+    }
+  };
+}
+
+/**
+ * @param {number} milliseconds
+ * @return {object} promise resolved after them
+ */
+function wait(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+module.exports = {makeEnv: makeEnv, wait: wait};
@@ -0,0 +1,82 @@
+/**
+ * Without Cordova, downloads are fetched in pieces with Range requests, and a new DAM picks
+ * up where an interrupted one left off
+ */
+var assert = require('assert');
+var mock = require('./mock');
+
+var CHUNK = 1024 * 1024,  // FileTransferWrapper.RANGE_CHUNK_SIZE
+    URL = 'http://x/big.bin',
+    content = new Array(2 * CHUNK + 501).join('x'),
+    disk = {}, store = {}, interrupted = false,
+    remote = {};
+
+remote[URL] = {body:content, etag:'"v1"'};
+remote['http://x/empty.txt'] = '';
+
+// Go offline as soon as the first piece has been saved
+var watched = new Proxy(store, {
+  set: function(target, key, value) {
+    target[key] = value;
+    var partials = key == 'partials_assets' ? JSON.parse(value) : {};
+    for (var name in partials) {
+      if (partials[name] && partials[name].offset > 0 && !interrupted) {
+        interrupted = true;
+        remote[URL] = {offline:true};
+      }
+    }
+    return true;
+  }
+});
+
+var env = mock.makeEnv({quiet:true, browser:true, remote:remote, disk:disk, store:watched}),
+    dam = new env.DAM('assets'),
+    env2, dam2;
+
+dam.init().then(function() {
+  // A zero-byte file is answered with a 416 when its first piece is asked for
+  return dam.addBundle({name:'empty', files:['http://x/empty.txt']});
+}).then(function() {
+  assert.ok(dam.bundleLoaded('empty'));
+  dam.addBundle({name:'big', files:[URL]})['catch'](function() {});
+  // Until the second piece has been asked for, and failed
+  return until(function() {
+    return env.log.some(function(entry) { return entry.indexOf(URL + ' range bytes=' + CHUNK) > 0; });
+  });
+}).then(function() {
+  return mock.wait(50);
+}).then(function() {
+  // Killed, and started again once back online
+  var copy = {disk: Object.assign({}, disk), store: Object.assign({}, store)};
+  env2 = mock.makeEnv({quiet:true, browser:true, disk:copy.disk, store:copy.store,
+                       remote:{'http://x/big.bin':{body:content, etag:'"v1"'}, 'http://x/empty.txt':''}});
+  dam2 = new env2.DAM('assets');
+  return dam2.init();
+}).then(function() {
+  return until(function() { return dam2.bundleLoaded('big'); });
+}).then(function() {
+  var requests = env2.log.filter(function(entry) { return entry.indexOf('xhr ' + URL) == 0; });
+  assert.equal(requests[0], 'xhr ' + URL + ' range bytes=' + CHUNK + '-' + (2 * CHUNK - 1) + ' if-range "v1"');
+  assert.equal(requests.length, 2);
+  var url = dam2.localURL(URL);
+  return new Promise(function(resolve) { dam2.storage.read('files', url.substr(url.lastIndexOf('/') + 1), resolve); });
+}).then(function(data) {
+  assert.equal(data.byteLength, content.length);
+}).then(function() {
+  console.log('ok resume');
+  process.exit(0);
+}, function(e) {
+  console.error(e);
+  process.exit(1);
+});
+
+function until(test) {
+  var deadline = Date.now() + 10000;
+  return new Promise(function(resolve, reject) {
+    (function poll() {
+      if (test()) return resolve();
+      if (Date.now() > deadline) return reject(new Error('timed out'));
+      setTimeout(poll, 5);
+    })();
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Run every test in this directory, each in its own node process:  node test/run.js
+ */
+var fs = require('fs');
+var path = require('path');
+var childProcess = require('child_process');
+
+var TIMEOUT = 60000;  // a test that hasn't finished by then is hanging
+
+var failed = 0;
+fs.readdirSync(__dirname).sort().forEach(function(name) {
+  if (!/\.js$/.test(name) || name == 'run.js' || name == 'mock.js') return;
+  var result = childProcess.spawnSync(process.execPath, [path.join(__dirname, name)],
+                                      {stdio:'inherit', timeout:TIMEOUT});
+  if (result.status !== 0) {
+    console.error('FAILED ' + name + (result.signal ? ' (' + result.signal + ')' : ''));
+    failed++;
+  }
+});
+process.exit(failed ? 1 : 0);
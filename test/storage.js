@@ -0,0 +1,40 @@
+/**
+ * Storage adapters: the interface the DAM checks for, and listing FileSystemStorage areas
+ */
+var assert = require('assert');
+var mock = require('./mock');
+
+function listFiles(browser) {
+  var disk = {'/assets/': true, '/assets/sub/': true, '/assets/sub/x': 'X'};
+  for (var i=0; i < 5; i++) disk['/assets/f' + i] = String(i);
+  var env = mock.makeEnv({quiet:true, disk:disk, browser:browser}),
+      storage = new env.DAM.FileSystemStorage();
+
+  return new Promise(function(resolve, reject) {
+    storage.init('assets', function(error) {
+      if (error) return reject(error);
+      storage.list('files', function(names) { resolve(names.sort()); });
+    });
+  });
+}
+
+var env = mock.makeEnv({quiet:true}), incomplete = new env.DAM.MemoryStorage();
+incomplete.move = undefined;
+assert.throws(function() { new env.DAM('assets', {storage:incomplete}); }, function(e) {
+  return e.code == env.DAM.DAMError.INVALID_ARGUMENT && /move/.test(e.message);
+});
+new env.DAM('assets', {storage:new env.DAM.MemoryStorage()});
+
+// Cordova returns every entry on each call, browsers a few at a time
+listFiles(false).then(function(names) {
+  assert.deepEqual(names, ['f0', 'f1', 'f2', 'f3', 'f4']);
+  return listFiles(true);
+}).then(function(names) {
+  assert.deepEqual(names, ['f0', 'f1', 'f2', 'f3', 'f4']);
+}).then(function() {
+  console.log('ok storage');
+  process.exit(0);
+}, function(e) {
+  console.error(e);
+  process.exit(1);
+});